@@ -0,0 +1,250 @@
+const moment = require('moment');
+
+const { Severity } = require('./severity');
+const { EventType } = require('./event-type');
+
+// Harvesters answer a signage point within this time, the plot counts of younger farming infos are still incomplete
+const harvesterResponseWindowInSeconds = 30;
+
+const alertTypes = {
+  plotDrop: 'plotDrop',
+  averageHarvesterResponseTime: 'averageHarvesterResponseTime',
+  worstHarvesterResponseTime: 'worstHarvesterResponseTime',
+  passedFilterTimeout: 'passedFilterTimeout',
+  poolPartialErrorRate: 'poolPartialErrorRate',
+  poolPointsNotAcknowledged: 'poolPointsNotAcknowledged',
+  missedSignagePoints: 'missedSignagePoints',
+  harvesterOffline: 'harvesterOffline',
+};
+const alertTitles = {
+  [alertTypes.plotDrop]: 'Plot count dropped',
+  [alertTypes.averageHarvesterResponseTime]: 'Average harvester response time too high',
+  [alertTypes.worstHarvesterResponseTime]: 'Worst harvester response time too high',
+  [alertTypes.passedFilterTimeout]: 'No passed filter events',
+  [alertTypes.poolPartialErrorRate]: 'Pool partial error rate too high',
+  [alertTypes.poolPointsNotAcknowledged]: 'Pool does not acknowledge points',
+  [alertTypes.missedSignagePoints]: 'Signage points missed',
+  [alertTypes.harvesterOffline]: 'Harvester disappeared',
+};
+
+class AlertEngine {
+  constructor({ sendNotification, getAlertConditions, getNodeId }) {
+    this.sendNotification = sendNotification;
+    this.getAlertConditions = getAlertConditions;
+    this.getNodeId = getNodeId;
+    this.activeAlerts = new Map();
+    this.plotCountSamples = [];
+    this.plotDropStartedAt = null;
+    this.startedAt = new Date();
+    this.lastPassedFilterAt = null;
+  }
+
+  // Tracked separately as the farming infos of the stats only cover the last few signage points
+  recordFarmingInfo({ passedFilter }) {
+    if (passedFilter > 0) {
+      this.lastPassedFilterAt = new Date();
+    }
+  }
+
+  async evaluate({ harvesterStats, farmerStats }) {
+    const alertConditions = this.getAlertConditions();
+    const results = [];
+    const plotCount = this.getPlotCount({ harvesterStats, farmerStats });
+    if (plotCount !== undefined) {
+      results.push(this.evaluatePlotDrop({ plotCount, alertConditions }));
+    }
+    if (farmerStats) {
+      results.push(...this.evaluateHarvesterResponseTimes({ farmerStats, alertConditions }));
+      results.push(this.evaluatePassedFilterTimeout({ alertConditions }));
+      results.push(...this.evaluatePools({ farmerStats, alertConditions }));
+      results.push(...this.evaluateHarvesters({ farmerStats, alertConditions }));
+      if (farmerStats.signagePointHealth) {
+        results.push(this.evaluateMissedSignagePoints({ farmerStats, alertConditions }));
+      }
+    }
+    for (const { type, key, isFiring, message } of results) {
+      await this.updateAlertState({ type, key, isFiring, message });
+    }
+  }
+
+  getPlotCount({ harvesterStats, farmerStats }) {
+    if (harvesterStats && harvesterStats.plotCount !== undefined) {
+      return harvesterStats.plotCount;
+    }
+    const settledPlotCounts = ((farmerStats && farmerStats.farmingInfos) || [])
+      .filter(farmingInfo => farmingInfo.totalPlots > 0 && moment().diff(farmingInfo.receivedAt, 'seconds') >= harvesterResponseWindowInSeconds)
+      .map(farmingInfo => farmingInfo.totalPlots);
+    if (settledPlotCounts.length === 0) {
+      return undefined;
+    }
+
+    return Math.max(...settledPlotCounts);
+  }
+
+  evaluatePlotDrop({ plotCount, alertConditions }) {
+    const baseline = this.getPlotCountBaseline();
+    const isFiring = baseline !== undefined
+      && baseline > 0
+      && ((baseline - plotCount) / baseline) * 100 >= alertConditions.plotDropThresholdPercent;
+    // Only feed the baseline while healthy, otherwise a drop would become the new normal and resolve itself right away
+    if (!isFiring) {
+      this.plotDropStartedAt = null;
+      this.addPlotCountSample({ plotCount, windowInMinutes: alertConditions.plotDropBaselineWindowInMinutes });
+
+      return { type: alertTypes.plotDrop, isFiring, message: `Plot count recovered to ${plotCount}` };
+    }
+    this.plotDropStartedAt = this.plotDropStartedAt || new Date();
+    // Plots which were removed on purpose become the new normal after a while
+    if (moment().diff(this.plotDropStartedAt, 'minutes') >= alertConditions.plotDropResettleAfterInMinutes) {
+      this.plotDropStartedAt = null;
+      this.plotCountSamples = [];
+      this.addPlotCountSample({ plotCount, windowInMinutes: alertConditions.plotDropBaselineWindowInMinutes });
+
+      return {
+        type: alertTypes.plotDrop,
+        isFiring: false,
+        message: `Plot count of ${plotCount} is the new baseline after staying below ${baseline} for ${alertConditions.plotDropResettleAfterInMinutes} minutes`,
+      };
+    }
+
+    return {
+      type: alertTypes.plotDrop,
+      isFiring,
+      message: `Plot count dropped to ${plotCount} from a baseline of ${baseline} (threshold: ${alertConditions.plotDropThresholdPercent}%)`,
+    };
+  }
+
+  addPlotCountSample({ plotCount, windowInMinutes }) {
+    const now = new Date();
+    this.plotCountSamples.push({ plotCount, receivedAt: now });
+    const windowStart = moment(now).subtract(windowInMinutes, 'minutes');
+    this.plotCountSamples = this.plotCountSamples.filter(sample => moment(sample.receivedAt).isSameOrAfter(windowStart));
+  }
+
+  getPlotCountBaseline() {
+    if (this.plotCountSamples.length === 0) {
+      return undefined;
+    }
+    const sum = this.plotCountSamples.reduce((acc, sample) => acc + sample.plotCount, 0);
+
+    return Math.round(sum / this.plotCountSamples.length);
+  }
+
+  evaluateHarvesterResponseTimes({ farmerStats, alertConditions }) {
+    const threshold = alertConditions.harvesterResponseTimeThreshold;
+    const { averageHarvesterResponseTime, worstHarvesterResponseTime } = farmerStats;
+
+    return [{
+      type: alertTypes.averageHarvesterResponseTime,
+      isFiring: typeof averageHarvesterResponseTime === 'number' && averageHarvesterResponseTime > threshold,
+      message: `Average harvester response time is ${Math.round(averageHarvesterResponseTime)} ms (threshold: ${threshold} ms)`,
+    }, {
+      type: alertTypes.worstHarvesterResponseTime,
+      isFiring: typeof worstHarvesterResponseTime === 'number' && worstHarvesterResponseTime > threshold,
+      message: `Worst harvester response time is ${Math.round(worstHarvesterResponseTime)} ms (threshold: ${threshold} ms)`,
+    }];
+  }
+
+  evaluatePassedFilterTimeout({ alertConditions }) {
+    const timeoutInSeconds = alertConditions.passedFilterTimeout;
+    const referenceDate = this.lastPassedFilterAt || this.startedAt;
+    const isFiring = moment().diff(referenceDate, 'seconds') >= timeoutInSeconds;
+
+    return {
+      type: alertTypes.passedFilterTimeout,
+      isFiring,
+      message: isFiring
+        ? `No passed filter events in the last ${timeoutInSeconds} seconds`
+        : 'Passed filter events are being received again',
+    };
+  }
+
+  evaluateMissedSignagePoints({ farmerStats, alertConditions }) {
+    const threshold = alertConditions.missedSignagePointsThreshold;
+    const { missedSignagePointsLastHour, lateFarmingInfosLastHour } = farmerStats.signagePointHealth;
+
+    return {
+      type: alertTypes.missedSignagePoints,
+      isFiring: missedSignagePointsLastHour > threshold,
+      message: `${missedSignagePointsLastHour} signage points were missed and ${lateFarmingInfosLastHour} farming infos arrived late in the last hour (threshold: ${threshold})`,
+    };
+  }
+
+  evaluateHarvesters({ farmerStats, alertConditions }) {
+    const timeoutInMinutes = alertConditions.harvesterOfflineTimeoutInMinutes;
+    const harvesters = farmerStats.harvesters || [];
+    const keyPrefix = `${alertTypes.harvesterOffline}-`;
+    // Harvesters offline for too long are forgotten by the tracker, their alerts are resolved
+    const forgottenHarvesterResults = Array.from(this.activeAlerts.keys())
+      .filter(key => key.startsWith(keyPrefix) && !harvesters.some(harvester => `${keyPrefix}${harvester.nodeId}` === key))
+      .map(key => ({
+        type: alertTypes.harvesterOffline,
+        key,
+        isFiring: false,
+        message: `Harvester ${key.slice(keyPrefix.length)} is no longer tracked after being offline for ${alertConditions.harvesterForgetAfterInHours} hours`,
+      }));
+
+    return harvesters.map(harvester => {
+      const harvesterName = harvester.host ? `${harvester.host} (${harvester.nodeId})` : harvester.nodeId;
+      const isStale = !harvester.lastSeen || moment().diff(harvester.lastSeen, 'minutes') >= timeoutInMinutes;
+      const isFiring = harvester.isConnected === false || isStale;
+
+      return {
+        type: alertTypes.harvesterOffline,
+        key: `${alertTypes.harvesterOffline}-${harvester.nodeId}`,
+        isFiring,
+        message: isFiring
+          ? `Harvester ${harvesterName} was last seen ${harvester.lastSeen ? moment(harvester.lastSeen).fromNow() : 'never'}`
+          : `Harvester ${harvesterName} is back with ${harvester.plotCount} plots`,
+      };
+    }).concat(forgottenHarvesterResults);
+  }
+
+  evaluatePools({ farmerStats, alertConditions }) {
+    const threshold = alertConditions.poolPartialErrorRatePercent;
+
+    return (farmerStats.pools || []).reduce((results, pool) => {
+      const poolName = `${pool.poolUrl} (${pool.launcherId})`;
+      const partialErrorRatePercent = pool.partialErrorRate * 100;
+      const isNotAcknowledging = pool.pointsFound24h > 0 && pool.pointsAcknowledged24h === 0;
+
+      return results.concat([{
+        type: alertTypes.poolPartialErrorRate,
+        key: `${alertTypes.poolPartialErrorRate}-${pool.launcherId}`,
+        isFiring: partialErrorRatePercent > threshold,
+        message: `Partial error rate for ${poolName} is ${partialErrorRatePercent.toFixed(2)}% (threshold: ${threshold}%)`,
+      }, {
+        type: alertTypes.poolPointsNotAcknowledged,
+        key: `${alertTypes.poolPointsNotAcknowledged}-${pool.launcherId}`,
+        isFiring: isNotAcknowledging,
+        message: isNotAcknowledging
+          ? `${poolName} acknowledged none of the ${pool.pointsFound24h} points found in the last 24h`
+          : `${poolName} acknowledged ${pool.pointsAcknowledged24h} points in the last 24h`,
+      }]);
+    }, []);
+  }
+
+  async updateAlertState({ type, key = type, isFiring, message }) {
+    const isActive = this.activeAlerts.has(key);
+    if (isFiring && !isActive) {
+      this.activeAlerts.set(key, { raisedAt: new Date(), message });
+      await this.sendNotification({
+        type: EventType.alert,
+        title: `Alert: ${alertTitles[type]}`,
+        body: `${this.getNodeId()}\n${message}`,
+        severity: Severity.critical,
+      });
+    } else if (!isFiring && isActive) {
+      const { raisedAt } = this.activeAlerts.get(key);
+      this.activeAlerts.delete(key);
+      await this.sendNotification({
+        type: EventType.alertResolved,
+        title: `Resolved: ${alertTitles[type]}`,
+        body: `${this.getNodeId()}\n${message} (was active for ${moment(raisedAt).fromNow(true)})`,
+        severity: Severity.info,
+      });
+    }
+  }
+}
+
+module.exports = { AlertEngine, alertTypes };
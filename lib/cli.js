@@ -0,0 +1,53 @@
+const commands = {
+  start: 'Start the satellite (default)',
+  status: 'Connect to the daemon once and print the collected stats',
+  'test-notify': 'Send a test message through every configured notification channel',
+  'config validate': 'Check the config and the chia config and cert paths',
+  setup: 'Re-run the setup wizard for the existing config',
+};
+const commandAliases = {
+  'validate-config': 'config validate',
+  reconfigure: 'setup',
+};
+
+const usage = `Usage: chia-dashboard-satellite [command] [options]
+
+Commands:
+${Object.keys(commands).map(command => `  ${command.padEnd(18)}${commands[command]}`).join('\n')}
+
+Options:
+  --config <path>   Use an alternate config file
+  -h, --help        Show this help
+`;
+
+const parseArgs = (args) => {
+  const options = {};
+  const positionals = [];
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--config') {
+      if (index + 1 >= args.length) {
+        throw new Error('--config requires a path');
+      }
+      options.configFilePath = args[index + 1];
+      index += 1;
+    } else if (arg.startsWith('--config=')) {
+      options.configFilePath = arg.slice('--config='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+  const commandName = positionals.join(' ') || 'start';
+  const command = commandAliases[commandName] || commandName;
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${commandName}`);
+  }
+
+  return { command, options };
+};
+
+module.exports = { parseArgs, usage };
@@ -0,0 +1,7 @@
+const config = require('../service/config');
+const firstRunWizard = require('../service/first-run-wizard');
+
+module.exports = async () => {
+  await firstRunWizard.run();
+  console.log(`Config saved to ${config.configFilePath}`);
+};
@@ -0,0 +1,24 @@
+const config = require('../service/config');
+const configWatcher = require('../service/config-watcher');
+const firstRunWizard = require('../service/first-run-wizard');
+const instanceManager = require('../service/instance-manager');
+const lifecycleManager = require('../service/lifecycle-manager');
+const logger = require('../service/logger');
+const statusServer = require('../service/status-server');
+const version = require('../version');
+
+module.exports = async () => {
+  if (!config.configExists && !config.hasEnvironmentOverrides) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`No config found at ${config.configFilePath}, please run the setup or configure the satellite through environment variables`);
+    }
+    await firstRunWizard.run();
+  }
+  lifecycleManager.init();
+  logger.log({ level: 'info', msg: `Config loaded from ${config.configFilePath} successfully` });
+  (config.warnings || []).forEach(warning => logger.log({ level: 'warn', msg: `Config | ${warning}` }));
+  await statusServer.init();
+  configWatcher.init();
+  await instanceManager.init();
+  logger.log({ level: 'info', msg: `Chia-Dashboard-Satellite ${version} initialized` });
+};
@@ -0,0 +1,93 @@
+const moment = require('moment');
+
+const config = require('../service/config');
+const ChiaDashboardUpdater = require('../service/chia-dashboard-updater');
+const { StatsCollection, allServices } = require('../service/stats-collection');
+const Capacity = require('../capacity');
+
+const formatCapacity = (capacityInGib) => capacityInGib !== undefined && capacityInGib !== null
+  ? new Capacity(capacityInGib).toString()
+  : 'N/A';
+const formatValue = (value) => value !== undefined && value !== null ? `${value}` : 'N/A';
+
+const getServiceRows = (service, stats) => {
+  switch (service) {
+    case 'fullNode': {
+      const blockchainState = stats.blockchainState || {};
+      const syncStatus = blockchainState.syncStatus || {};
+
+      return [
+        ['Synced', formatValue(syncStatus.synced)],
+        ['Height', `${formatValue(syncStatus.syncedHeight)} / ${formatValue(syncStatus.tipHeight)}`],
+        ['Netspace', formatCapacity(blockchainState.spaceInGib)],
+        ['Peers', formatValue(stats.fullNodeConnectionsCount)],
+      ];
+    }
+    case 'farmer': {
+      const farmingEconomics = stats.farmingEconomics || {};
+
+      return [
+        ['Harvesters', formatValue((stats.harvesters || []).length)],
+        ['Pools', formatValue((stats.pools || []).length)],
+        ['Expected time to win', farmingEconomics.expectedTimeToWinInSeconds
+          ? moment.duration(farmingEconomics.expectedTimeToWinInSeconds, 'seconds').humanize()
+          : 'N/A'],
+        ['Expected reward per day', formatValue(farmingEconomics.expectedRewardPerDay)],
+      ];
+    }
+    case 'harvester':
+      return [
+        ['Plots', formatValue(stats.plotCount)],
+        ['Raw capacity', formatCapacity(stats.totalRawPlotCapacityInGib)],
+        ['Effective capacity', formatCapacity(stats.totalEffectivePlotCapacityInGib)],
+        ['Farmer connections', formatValue(stats.farmerConnectionsCount)],
+      ];
+    case 'wallet': {
+      const farmedAmount = stats.farmedAmount || {};
+
+      return (stats.wallets || [])
+        .map(wallet => [`Wallet ${wallet.id} (${wallet.name})`, `${wallet.balance.confirmed} confirmed, ${wallet.balance.spendable} spendable`])
+        .concat([
+          ['Farmed amount', formatValue(farmedAmount.farmedAmount)],
+          ['Blocks won', formatValue(farmedAmount.blocksWon)],
+        ]);
+    }
+    default:
+      return [];
+  }
+};
+
+const formatTable = (rows) => {
+  const keyWidth = Math.max(...rows.map(([key]) => key.length));
+
+  return rows.map(([key, value]) => `  ${key.padEnd(keyWidth)}  ${value}`).join('\n');
+};
+
+module.exports = async () => {
+  let exitCode = 0;
+  for (const instance of config.instances) {
+    const statsCollection = new StatsCollection({ instance, dashboardUpdater: new ChiaDashboardUpdater({ dashboards: [] }) });
+    console.log(`${statsCollection.nodeId || 'Satellite'}${instance.label ? ` (${instance.label})` : ''}`);
+    try {
+      await statsCollection.collectOnce();
+    } catch (err) {
+      console.error(`  Could not collect the stats: ${err.message}\n`);
+      exitCode = 1;
+      await statsCollection.closeDaemonConnection();
+      continue;
+    }
+    allServices
+      .filter(service => statsCollection.isServiceEnabled(service) && service !== 'plotter')
+      .forEach(service => {
+        const isRunning = statsCollection.isServiceRunning.get(service) || false;
+        console.log(`${service}: ${isRunning ? 'running' : 'not running'}`);
+        if (isRunning && statsCollection.stats.has(service)) {
+          console.log(formatTable(getServiceRows(service, statsCollection.stats.get(service))));
+        }
+      });
+    console.log('');
+    await statsCollection.closeDaemonConnection();
+  }
+
+  return exitCode;
+};
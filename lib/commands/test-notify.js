@@ -0,0 +1,30 @@
+const notifiers = require('../service/notifiers');
+const { Severity } = require('../severity');
+const { EventType } = require('../event-type');
+const version = require('../version');
+
+module.exports = async () => {
+  notifiers.init();
+  if (notifiers.notifiers.length === 0) {
+    console.error(`No notification channels are configured`);
+
+    return 1;
+  }
+  let failedCount = 0;
+  for (const { name, notifier } of notifiers.notifiers) {
+    try {
+      await notifier.send({
+        type: EventType.test,
+        title: 'Test Notification',
+        body: `This is a test message from Chia-Dashboard-Satellite ${version}`,
+        severity: Severity.info,
+      });
+      console.log(`${name}: sent`);
+    } catch (err) {
+      failedCount += 1;
+      console.error(`${name}: failed: ${err.message}`);
+    }
+  }
+
+  return failedCount > 0 ? 1 : 0;
+};
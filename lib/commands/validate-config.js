@@ -0,0 +1,17 @@
+const config = require('../service/config');
+const configValidator = require('../service/config-validator');
+
+module.exports = async () => {
+  const { errors, warnings } = await configValidator.validate();
+  const configDescription = config.configExists ? config.configFilePath : 'The config from the environment';
+  warnings.forEach(warning => console.log(`Warning: ${warning}`));
+  errors.forEach(error => console.error(`Error: ${error}`));
+  if (errors.length > 0) {
+    console.error(`${configDescription} has ${errors.length} error(s)`);
+
+    return 1;
+  }
+  console.log(`${configDescription} is valid`);
+
+  return 0;
+};
@@ -0,0 +1,129 @@
+const { readFileSync } = require('fs');
+const { set } = require('lodash');
+
+const environmentVariablePrefix = 'CHIA_DASHBOARD_SATELLITE_';
+// These select where the config is read from and are not config keys themselves
+const reservedEnvironmentVariables = ['CONFIG_DIRECTORY', 'CONFIG_FILE'];
+
+const toEnvironmentName = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+const getProperties = (schema) => {
+  if (!schema.variants) {
+    return schema.properties || {};
+  }
+
+  return Object.values(schema.variants.properties)
+    .reduce((acc, variantProperties) => ({ ...acc, ...variantProperties }), { ...schema.properties });
+};
+
+const findProperty = (schema, segment) => {
+  const properties = getProperties(schema);
+  const key = Object.keys(properties).find(curr => toEnvironmentName(curr) === segment);
+
+  return key ? { key, schema: properties[key] } : null;
+};
+
+// Nested keys are separated by a double underscore, eg. STATUS_SERVER__PORT or NOTIFIERS__0__BOT_TOKEN
+const resolvePath = (schema, name) => {
+  const segments = name.split('__');
+  const path = [];
+  let currentSchema = schema;
+  let isSecretFile = false;
+  for (let index = 0; index < segments.length; index += 1) {
+    const segment = segments[index];
+    const isLastSegment = index === segments.length - 1;
+    if (currentSchema.type === 'array') {
+      if (!/^[0-9]+$/.test(segment)) {
+        return null;
+      }
+      path.push(parseInt(segment, 10));
+      currentSchema = currentSchema.items;
+      continue;
+    }
+    let property = findProperty(currentSchema, segment);
+    if (!property && isLastSegment && segment.endsWith('_FILE')) {
+      property = findProperty(currentSchema, segment.slice(0, -'_FILE'.length));
+      isSecretFile = !!property;
+    }
+    if (!property) {
+      return null;
+    }
+    path.push(property.key);
+    currentSchema = property.schema;
+  }
+
+  return { path, schema: currentSchema, isSecretFile };
+};
+
+const parseBoolean = (value) => {
+  const normalizedValue = value.trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalizedValue)) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(normalizedValue)) {
+    return false;
+  }
+
+  return value;
+};
+
+// Values which can not be converted are passed on as is so the schema validation reports them
+const parseValue = (schema, value) => {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('string')) {
+    return value;
+  }
+  if (types.includes('number') || types.includes('integer')) {
+    const number = Number(value);
+
+    return value.trim() !== '' && Number.isFinite(number) ? number : value;
+  }
+  if (types.includes('boolean')) {
+    return parseBoolean(value);
+  }
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    if (types.includes('array')) {
+      return value.split(',').map(item => item.trim()).filter(item => item).map(item => parseValue(schema.items, item));
+    }
+
+    return value;
+  }
+};
+
+const getEnvironmentOverrides = ({ env, schema }) => {
+  const overrides = {};
+  const errors = [];
+  const warnings = [];
+  Object.keys(env)
+    .filter(variable => variable.startsWith(environmentVariablePrefix))
+    .sort()
+    .forEach(variable => {
+      const name = variable.slice(environmentVariablePrefix.length);
+      if (reservedEnvironmentVariables.includes(name)) {
+        return;
+      }
+      const resolvedPath = resolvePath(schema, name);
+      if (!resolvedPath) {
+        warnings.push(`${variable}: does not match any config key, it is ignored`);
+
+        return;
+      }
+      let value = env[variable];
+      if (resolvedPath.isSecretFile) {
+        try {
+          value = readFileSync(value, 'utf8').replace(/\r?\n$/, '');
+        } catch (err) {
+          errors.push(`${variable}: could not read ${value}: ${err.code || err.message}`);
+
+          return;
+        }
+      }
+      set(overrides, resolvedPath.path, parseValue(resolvedPath.schema, value));
+    });
+
+  return { overrides, errors, warnings };
+};
+
+module.exports = { getEnvironmentOverrides, environmentVariablePrefix };
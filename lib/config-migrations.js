@@ -0,0 +1,107 @@
+const { cloneDeep, isEqual } = require('lodash');
+
+const legacyEmailKeys = ['emailNotificationsEnabled', 'emailService', 'senderEmail', 'senderPassword', 'recipientEmail'];
+const legacyLineKeys = ['lineNotificationsEnabled', 'lineNotifyAccessToken'];
+
+const migrations = [{
+  version: 1,
+  description: 'Move the top level email settings to the notifiers list',
+  migrate: (config) => {
+    if (!legacyEmailKeys.some(key => config[key] !== undefined)) {
+      return;
+    }
+    const hasEmailSettings = config.senderEmail !== undefined || config.recipientEmail !== undefined;
+    if (hasEmailSettings) {
+      config.notifiers = [{
+        type: 'email',
+        name: 'email',
+        enabled: !!config.emailNotificationsEnabled,
+        service: config.emailService,
+        senderEmail: config.senderEmail,
+        senderPassword: config.senderPassword,
+        recipientEmail: config.recipientEmail,
+      }].concat(Array.isArray(config.notifiers) ? config.notifiers : []);
+    }
+    legacyEmailKeys.forEach(key => delete config[key]);
+  },
+}, {
+  version: 2,
+  description: 'Remove the LINE Notify settings as the service has been shut down',
+  migrate: (config, warnings) => {
+    if (!legacyLineKeys.some(key => config[key] !== undefined)) {
+      return;
+    }
+    if (config.lineNotificationsEnabled) {
+      warnings.push(`LINE Notify has been shut down, please configure another channel under 'notifiers'`);
+    }
+    legacyLineKeys.forEach(key => delete config[key]);
+  },
+}, {
+  version: 3,
+  description: 'Replace the fallback dashboard url key pairs with a single dashboard',
+  migrate: (config, warnings) => {
+    const keyPairs = config.chiaDashboardCoreUrlKeyPairs;
+    if (keyPairs === undefined) {
+      return;
+    }
+    delete config.chiaDashboardCoreUrlKeyPairs;
+    if (!Array.isArray(keyPairs) || keyPairs.length === 0) {
+      return;
+    }
+    const [primaryKeyPair] = keyPairs;
+    if (config.apiKey === undefined) {
+      config.apiKey = primaryKeyPair.apiKey;
+    }
+    if (config.chiaDashboardCoreUrl === undefined) {
+      config.chiaDashboardCoreUrl = primaryKeyPair.chiaDashboardCoreUrl || primaryKeyPair.dashboardCoreUrl || primaryKeyPair.url;
+    }
+    if (keyPairs.length > 1) {
+      warnings.push(`Fallback dashboard urls are no longer supported, only ${config.chiaDashboardCoreUrl} is used`);
+    }
+  },
+}, {
+  version: 4,
+  description: 'Replace the summary report interval with a named summary report',
+  migrate: (config) => {
+    const summaryReportInterval = config.summaryReportInterval;
+    if (summaryReportInterval === undefined) {
+      return;
+    }
+    delete config.summaryReportInterval;
+    if (!summaryReportInterval) {
+      return;
+    }
+    config.summaryReports = [{
+      name: 'periodic',
+      intervalInMinutes: summaryReportInterval,
+    }].concat(Array.isArray(config.summaryReports) ? config.summaryReports : []);
+  },
+}];
+
+const currentConfigVersion = migrations[migrations.length - 1].version;
+
+const migrateConfig = (config) => {
+  // Invalid configs are reported by the schema validation
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return { config, hasChanged: false, fromVersion: 0, warnings: [] };
+  }
+  const migratedConfig = cloneDeep(config);
+  const warnings = [];
+  const configVersion = migratedConfig.configVersion || 0;
+  const appliedMigrations = migrations.filter(migration => migration.version > configVersion);
+  appliedMigrations.forEach(migration => migration.migrate(migratedConfig, warnings));
+  // Configs which already use the current layout are left untouched
+  const hasChanged = !isEqual(migratedConfig, config);
+  if (hasChanged) {
+    migratedConfig.configVersion = currentConfigVersion;
+  }
+
+  return {
+    config: hasChanged ? migratedConfig : config,
+    hasChanged,
+    fromVersion: configVersion,
+    warnings,
+  };
+};
+
+module.exports = { migrateConfig, currentConfigVersion };
@@ -0,0 +1,364 @@
+const { cloneDeep } = require('lodash');
+
+const { CronSchedule } = require('./schedule');
+const { Severity } = require('./severity');
+const { EventType } = require('./event-type');
+
+const services = ['fullNode', 'wallet', 'farmer', 'harvester', 'plotter'];
+const updateModes = ['slow', 'regular', 'fast'];
+const severities = Object.values(Severity);
+const eventTypes = Object.values(EventType);
+
+const dashboardProperties = {
+  apiKey: { type: 'string' },
+  chiaDashboardCoreUrl: { type: 'string', format: 'url' },
+  updateMode: { type: 'string', enum: updateModes },
+  enableCompatibilityMode: { type: 'boolean' },
+  dashboards: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        url: { type: 'string', format: 'url' },
+        apiKey: { type: 'string', required: true },
+        updateMode: { type: 'string', enum: updateModes },
+        enableCompatibilityMode: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+// Instance settings fall back to the top level ones, so they must not have defaults of their own
+const daemonProperties = {
+  chiaConfigDirectory: { type: 'string' },
+  chiaDaemonAddress: { type: 'string' },
+  daemonSslCertFile: { type: 'string' },
+  daemonSslKeyFile: { type: 'string' },
+  excludedServices: { type: 'array', items: { type: 'string', enum: services } },
+};
+
+const notifierProperties = {
+  type: { type: 'string', required: true },
+  name: { type: 'string' },
+  enabled: { type: 'boolean' },
+};
+
+const notifierTypeProperties = {
+  email: {
+    service: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    secure: { type: 'boolean' },
+    senderEmail: { type: 'string', required: true },
+    senderPassword: { type: 'string' },
+    recipientEmail: { type: 'string', required: true },
+  },
+  telegram: {
+    botToken: { type: 'string', required: true },
+    chatId: { type: ['string', 'integer'], required: true },
+  },
+  discord: {
+    webhookUrl: { type: 'string', format: 'url', required: true },
+    username: { type: 'string' },
+  },
+  slack: {
+    webhookUrl: { type: 'string', format: 'url', required: true },
+  },
+  ntfy: {
+    url: { type: 'string', format: 'url' },
+    topic: { type: 'string', required: true },
+    accessToken: { type: 'string' },
+  },
+  gotify: {
+    url: { type: 'string', format: 'url', required: true },
+    appToken: { type: 'string', required: true },
+  },
+  webhook: {
+    url: { type: 'string', format: 'url', required: true },
+    method: { type: 'string', enum: ['POST', 'PUT', 'PATCH'] },
+    headers: { type: 'object', additionalProperties: true },
+  },
+};
+
+const configSchema = {
+  type: 'object',
+  properties: {
+    configVersion: { type: 'integer', min: 0 },
+    nodeId: { type: 'string', default: '' },
+    ...daemonProperties,
+    ...dashboardProperties,
+    excludedServices: { ...daemonProperties.excludedServices, default: [] },
+    instances: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          nodeId: { type: 'string' },
+          ...daemonProperties,
+          ...dashboardProperties,
+        },
+      },
+    },
+    initialWaitTimeInMinutes: { type: 'number', min: 0, default: 5 },
+    responseTimeSampleSize: { type: 'integer', min: 1, default: 100 },
+    maximumFarmingInfos: { type: 'integer', min: 1, default: 20 },
+    // Each report is sent on either a cron schedule or an interval, to all notifiers unless some are named
+    summaryReports: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true },
+          schedule: { type: 'string', format: 'cron' },
+          timezone: { type: 'string', format: 'timezone' },
+          intervalInMinutes: { type: 'number', min: 1 },
+          notifiers: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+    // Template files which replace the built-in summary report formats
+    summaryReportTemplates: {
+      type: 'object',
+      default: {},
+      properties: {
+        text: { type: 'string', nullable: true, default: null },
+        markdown: { type: 'string', nullable: true, default: null },
+        html: { type: 'string', nullable: true, default: null },
+      },
+    },
+    notifyTimeoutInMins: { type: 'number', min: 0, default: 3 },
+    notifications: {
+      type: 'object',
+      default: {},
+      properties: {
+        // Identical notifications within the window are only sent once
+        deduplicationWindowInMinutes: { type: 'number', min: 0, default: 15 },
+        // Notifications above the limit are added to the digest of the notifier
+        maximumPerHourPerNotifier: { type: 'integer', min: 1, nullable: true, default: 20 },
+        digest: {
+          type: 'object',
+          default: {},
+          properties: {
+            severities: { type: 'array', default: [], items: { type: 'string', enum: severities } },
+            intervalInMinutes: { type: 'number', min: 1, default: 60 },
+          },
+        },
+        // Only critical notifications are sent immediately during quiet hours, the others are part of the next digest
+        quietHours: {
+          type: 'object',
+          nullable: true,
+          default: null,
+          properties: {
+            start: { type: 'string', format: 'time', required: true },
+            end: { type: 'string', format: 'time', required: true },
+            timezone: { type: 'string', format: 'timezone' },
+          },
+        },
+        // The first route matching the type and severity decides which notifiers are used, all when none matches
+        routes: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              types: { type: 'array', items: { type: 'string', enum: eventTypes } },
+              severities: { type: 'array', items: { type: 'string', enum: severities } },
+              notifiers: { type: 'array', items: { type: 'string' } },
+              // Replaces the recipients of email notifiers
+              recipients: { type: 'array', items: { type: 'string' } },
+            },
+          },
+        },
+      },
+    },
+    notifiers: {
+      type: 'array',
+      default: [],
+      items: { type: 'object', properties: notifierProperties, variants: { key: 'type', properties: notifierTypeProperties } },
+    },
+    statusServer: {
+      type: 'object',
+      default: {},
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        bindAddress: { type: 'string', default: '127.0.0.1' },
+        port: { type: 'integer', min: 1, max: 65535, default: 9914 },
+      },
+    },
+    alertConditions: {
+      type: 'object',
+      default: {},
+      properties: {
+        passedFilterTimeout: { type: 'number', min: 1, default: 60 }, // 1 minute in seconds
+        plotDropThresholdPercent: { type: 'number', min: 0, max: 100, default: 10 },
+        plotDropBaselineWindowInMinutes: { type: 'number', min: 1, default: 60 },
+        plotDropResettleAfterInMinutes: { type: 'number', min: 1, default: 360 },
+        harvesterResponseTimeThreshold: { type: 'number', min: 1, default: 60000 }, // 1 minute in milliseconds
+        poolPartialErrorRatePercent: { type: 'number', min: 0, max: 100, default: 10 },
+        missedSignagePointsThreshold: { type: 'number', min: 1, default: 5 }, // per hour
+        harvesterOfflineTimeoutInMinutes: { type: 'number', min: 1, default: 5 },
+        harvesterForgetAfterInHours: { type: 'number', min: 1, default: 24 },
+      },
+    },
+    history: {
+      type: 'object',
+      default: {},
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        retentionInDays: {
+          type: 'object',
+          default: {},
+          properties: {
+            minute: { type: 'number', min: 0, default: 2 },
+            hour: { type: 'number', min: 0, default: 30 },
+            day: { type: 'number', min: 0, default: 365 },
+          },
+        },
+      },
+    },
+  },
+};
+
+const describeValue = (value) => {
+  if (value === null || value === undefined) {
+    return `${value}`;
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (typeof value === 'object') {
+    return 'an object';
+  }
+
+  return `${typeof value} ${JSON.stringify(value)}`;
+};
+
+const typeDescriptions = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+const isOfType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+};
+
+// Validators throw for invalid values
+const formats = {
+  url: { description: 'url', validate: value => new URL(value) },
+  cron: { description: 'cron expression', validate: value => new CronSchedule({ expression: value }).getNextMatch(new Date()) },
+  timezone: { description: 'timezone', validate: value => new Intl.DateTimeFormat('en-US', { timeZone: value }) },
+  time: {
+    description: 'time of day (HH:mm)',
+    validate: (value) => {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        throw new Error('Invalid time of day');
+      }
+    },
+  },
+};
+
+const joinPath = (path, key) => path ? `${path}.${key}` : key;
+
+const validateValue = ({ schema, value, path, result }) => {
+  if (value === undefined && schema.default !== undefined) {
+    value = cloneDeep(schema.default);
+  }
+  if (value === undefined) {
+    if (schema.required) {
+      result.errors.push(`${path}: is required`);
+    }
+
+    return value;
+  }
+  if (value === null && schema.nullable) {
+    return value;
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(curr => isOfType(value, curr));
+  if (!type) {
+    result.errors.push(`${path}: expected ${types.map(curr => typeDescriptions[curr]).join(' or ')} but got ${describeValue(value)}`);
+
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push(`${path}: expected one of ${schema.enum.join(', ')} but got ${describeValue(value)}`);
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    result.errors.push(`${path}: must be at least ${schema.min} but got ${value}`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    result.errors.push(`${path}: must be at most ${schema.max} but got ${value}`);
+  }
+  if (schema.format) {
+    try {
+      formats[schema.format].validate(value);
+    } catch (err) {
+      result.errors.push(`${path}: ${describeValue(value)} is not a valid ${formats[schema.format].description}`);
+    }
+  }
+  if (type === 'array') {
+    return value.map((item, index) => validateValue({ schema: schema.items, value: item, path: `${path}[${index}]`, result }));
+  }
+  if (type === 'object' && !schema.additionalProperties) {
+    return validateObject({ schema, value, path, result });
+  }
+
+  return value;
+};
+
+const validateObject = ({ schema, value, path, result }) => {
+  let properties = schema.properties;
+  if (schema.variants) {
+    const variant = value[schema.variants.key];
+    const variantProperties = schema.variants.properties[variant];
+    if (variant !== undefined && !variantProperties) {
+      const variantPath = joinPath(path, schema.variants.key);
+      result.errors.push(`${variantPath}: expected one of ${Object.keys(schema.variants.properties).join(', ')} but got ${describeValue(variant)}`);
+    }
+    properties = { ...properties, ...(variantProperties || {}) };
+  }
+  const validatedValue = {};
+  Object.keys(properties).forEach(key => {
+    const propertyValue = validateValue({ schema: properties[key], value: value[key], path: joinPath(path, key), result });
+    if (propertyValue !== undefined) {
+      validatedValue[key] = propertyValue;
+    }
+  });
+  Object.keys(value)
+    .filter(key => !properties[key])
+    .forEach(key => {
+      result.warnings.push(`${joinPath(path, key)}: unknown key, it is ignored`);
+      validatedValue[key] = value[key];
+    });
+
+  return validatedValue;
+};
+
+// Returns the config with all defaults applied, errors and warnings point at the offending key
+const applyConfigSchema = (config) => {
+  const result = { errors: [], warnings: [] };
+  if (!isOfType(config, 'object')) {
+    result.errors.push(`The config must be a mapping of keys to values but got ${describeValue(config)}`);
+
+    return { ...result, value: {} };
+  }
+  const value = validateObject({ schema: configSchema, value: config, path: '', result });
+
+  return { ...result, value };
+};
+
+module.exports = { configSchema, applyConfigSchema };
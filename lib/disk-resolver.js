@@ -0,0 +1,40 @@
+const { promises: fs } = require('fs');
+const { dirname } = require('path');
+
+// Picks up remounts
+const cacheDurationInMinutes = 10;
+
+class DiskResolver {
+  constructor() {
+    this.mountPointsByDirectory = new Map();
+  }
+
+  // Resolves the mount point of a directory by walking up until the device changes. Directories which can not be
+  // accessed (eg. when the harvester runs on another machine) resolve to themselves.
+  async getMountPoint(directory) {
+    const cached = this.mountPointsByDirectory.get(directory);
+    if (cached && Date.now() - cached.resolvedAt < cacheDurationInMinutes * 60 * 1000) {
+      return cached.mountPoint;
+    }
+    let mountPoint = directory;
+    try {
+      const { dev } = await fs.stat(directory);
+      let parent = dirname(mountPoint);
+      while (parent !== mountPoint) {
+        const parentStat = await fs.stat(parent);
+        if (parentStat.dev !== dev) {
+          break;
+        }
+        mountPoint = parent;
+        parent = dirname(mountPoint);
+      }
+    } catch (err) {
+      mountPoint = directory;
+    }
+    this.mountPointsByDirectory.set(directory, { mountPoint, resolvedAt: Date.now() });
+
+    return mountPoint;
+  }
+}
+
+module.exports = DiskResolver;
@@ -0,0 +1,85 @@
+const { promises: fs } = require('fs');
+const BigNumber = require('bignumber.js');
+const moment = require('moment');
+
+const ChiaAmount = require('./chia-amount');
+
+const snapshotIntervalInMinutes = 10;
+const snapshotRetentionInDays = 35;
+const dailyHistoryLength = 7;
+const weeklyHistoryLength = 4;
+
+class EarningsTracker {
+  constructor({ snapshotsFilePath, isReadOnly = false }) {
+    this.snapshotsFilePath = snapshotsFilePath;
+    this.isReadOnly = isReadOnly;
+    this.snapshots = [];
+  }
+
+  async init() {
+    try {
+      this.snapshots = JSON.parse(await fs.readFile(this.snapshotsFilePath, 'utf8'));
+    } catch (err) {
+      // Start over when the snapshots are missing or corrupted
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+        throw err;
+      }
+    }
+  }
+
+  async addSnapshot(farmedAmountRaw) {
+    const latestSnapshot = this.snapshots[this.snapshots.length - 1];
+    const hasChanged = !latestSnapshot || latestSnapshot.farmedAmount !== farmedAmountRaw.toString();
+    const isDue = !latestSnapshot || moment().diff(latestSnapshot.timestamp, 'minutes') >= snapshotIntervalInMinutes;
+    if (!hasChanged && !isDue) {
+      return;
+    }
+    this.snapshots.push({ timestamp: new Date().toISOString(), farmedAmount: farmedAmountRaw.toString() });
+    const retentionStart = moment().subtract(snapshotRetentionInDays, 'days');
+    this.snapshots = this.snapshots.filter(snapshot => moment(snapshot.timestamp).isAfter(retentionStart));
+    if (!this.isReadOnly) {
+      await fs.writeFile(this.snapshotsFilePath, JSON.stringify(this.snapshots), 'utf8');
+    }
+  }
+
+  getFarmedAmountAt(date) {
+    const snapshotsBefore = this.snapshots.filter(snapshot => moment(snapshot.timestamp).isSameOrBefore(date));
+    const snapshot = snapshotsBefore.length > 0 ? snapshotsBefore[snapshotsBefore.length - 1] : this.snapshots[0];
+
+    return new BigNumber(snapshot.farmedAmount);
+  }
+
+  getEarningsBetween(start, end) {
+    return ChiaAmount.fromRaw(this.getFarmedAmountAt(end).minus(this.getFarmedAmountAt(start))).toString();
+  }
+
+  getEarnings() {
+    if (this.snapshots.length === 0) {
+      return null;
+    }
+    const now = moment();
+
+    return {
+      last24Hours: this.getEarningsBetween(moment(now).subtract(1, 'day'), now),
+      last7Days: this.getEarningsBetween(moment(now).subtract(7, 'days'), now),
+      daily: Array.from({ length: dailyHistoryLength }, (_, index) => {
+        const dayStart = moment(now).startOf('day').subtract(index, 'days');
+
+        return {
+          date: dayStart.format('YYYY-MM-DD'),
+          amount: this.getEarningsBetween(dayStart, moment(dayStart).add(1, 'day')),
+        };
+      }),
+      weekly: Array.from({ length: weeklyHistoryLength }, (_, index) => {
+        const weekStart = moment(now).startOf('isoWeek').subtract(index, 'weeks');
+
+        return {
+          week: weekStart.format('GGGG-[W]WW'),
+          amount: this.getEarningsBetween(weekStart, moment(weekStart).add(1, 'week')),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = EarningsTracker;
@@ -0,0 +1,15 @@
+const EventType = {
+  summaryReport: 'summaryReport',
+  proofFound: 'proofFound',
+  blockFarmed: 'blockFarmed',
+  syncLost: 'syncLost',
+  syncRegained: 'syncRegained',
+  serviceDown: 'serviceDown',
+  serviceUp: 'serviceUp',
+  alert: 'alert',
+  alertResolved: 'alertResolved',
+  digest: 'digest',
+  test: 'test',
+}
+
+module.exports = { EventType }
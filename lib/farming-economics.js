@@ -0,0 +1,69 @@
+const BigNumber = require('bignumber.js')
+
+const BLOCKS_PER_DAY = 4608
+const SECONDS_PER_DAY = 24 * 60 * 60
+const K32_EFFECTIVE_PLOT_SIZE_IN_GIB = new BigNumber('101.361')
+// Mainnet heights at which the block reward halves, starting from 2 XCH
+const BLOCK_REWARD_HALVING_HEIGHTS = [5045760, 10091520, 15137280, 20183040]
+// Mainnet heights at which the plot filter is reduced, starting from 512
+const PLOT_FILTER_REDUCTION_HEIGHTS = [5496000, 10542000, 15592000, 20643000]
+
+const getBlockReward = (height) => {
+  const halvings = BLOCK_REWARD_HALVING_HEIGHTS.filter(halvingHeight => height >= halvingHeight).length
+
+  return new BigNumber(2).dividedBy(new BigNumber(2).exponentiatedBy(halvings))
+}
+
+const getPlotFilter = (height) => {
+  const reductions = PLOT_FILTER_REDUCTION_HEIGHTS.filter(reductionHeight => height >= reductionHeight).length
+
+  return 512 / Math.pow(2, reductions)
+}
+
+// The farmer knows the plot count of all harvesters while the plot sizes are only known for the local harvester
+const getAveragePlotSizeInGib = ({ harvesterPlotCount, harvesterEffectiveCapacityInGib }) => {
+  if (!harvesterPlotCount || !harvesterEffectiveCapacityInGib) {
+    return K32_EFFECTIVE_PLOT_SIZE_IN_GIB
+  }
+
+  return new BigNumber(harvesterEffectiveCapacityInGib).dividedBy(harvesterPlotCount)
+}
+
+const getFarmingEconomics = ({ netspaceInGib, height, farmerPlotCount, harvesterPlotCount, harvesterEffectiveCapacityInGib, farmingInfos }) => {
+  const averagePlotSizeInGib = getAveragePlotSizeInGib({ harvesterPlotCount, harvesterEffectiveCapacityInGib })
+  const plotCount = farmerPlotCount || harvesterPlotCount || 0
+  const capacity = averagePlotSizeInGib.multipliedBy(plotCount)
+  const economics = {
+    plotCapacityInGib: capacity.toString(),
+    expectedTimeToWinInSeconds: null,
+    expectedRewardPerDay: null,
+    estimatedEffectiveCapacityInGib: null,
+    estimatedEffectiveCapacityRatio: null,
+  }
+  const netspace = new BigNumber(netspaceInGib || 0)
+  if (capacity.isGreaterThan(0) && netspace.isGreaterThan(0)) {
+    const share = capacity.dividedBy(netspace)
+    const expectedBlocksPerDay = share.multipliedBy(BLOCKS_PER_DAY)
+    economics.expectedTimeToWinInSeconds = new BigNumber(SECONDS_PER_DAY).dividedBy(expectedBlocksPerDay).integerValue().toNumber()
+    if (height !== undefined) {
+      economics.expectedRewardPerDay = expectedBlocksPerDay.multipliedBy(getBlockReward(height)).toFixed(12)
+    }
+  }
+  // Every plot passes the filter with a chance of 1/filter per signage point, so the observed average passed filter
+  // count allows estimating the plot count actually being farmed
+  const relevantFarmingInfos = (farmingInfos || []).filter(farmingInfo => farmingInfo.totalPlots > 0)
+  if (relevantFarmingInfos.length > 0 && height !== undefined) {
+    const averagePassedFilter = relevantFarmingInfos
+      .reduce((acc, farmingInfo) => acc.plus(farmingInfo.passedFilter), new BigNumber(0))
+      .dividedBy(relevantFarmingInfos.length)
+    const estimatedEffectiveCapacity = averagePassedFilter.multipliedBy(getPlotFilter(height)).multipliedBy(averagePlotSizeInGib)
+    economics.estimatedEffectiveCapacityInGib = estimatedEffectiveCapacity.toString()
+    if (capacity.isGreaterThan(0)) {
+      economics.estimatedEffectiveCapacityRatio = estimatedEffectiveCapacity.dividedBy(capacity).decimalPlaces(4).toNumber()
+    }
+  }
+
+  return economics
+}
+
+module.exports = { getFarmingEconomics, getBlockReward, getPlotFilter }
@@ -0,0 +1,100 @@
+const BigNumber = require('bignumber.js');
+const moment = require('moment');
+
+// Node ids are reported with and without a 0x prefix depending on the source
+const normalizeNodeId = (nodeId) => nodeId.replace(/^0x/, '');
+
+class HarvesterTracker {
+  constructor({ getResponseTimeSampleSize, getForgetAfterInHours }) {
+    this.getResponseTimeSampleSize = getResponseTimeSampleSize;
+    this.getForgetAfterInHours = getForgetAfterInHours;
+    this.harvesters = new Map();
+    this.hasHarvesterListing = false;
+  }
+
+  getOrCreateHarvester(rawNodeId) {
+    const nodeId = normalizeNodeId(rawNodeId);
+    if (!this.harvesters.has(nodeId)) {
+      this.harvesters.set(nodeId, {
+        nodeId,
+        host: null,
+        plotCount: null,
+        isConnected: false,
+        lastSeen: null,
+        responseTimes: [],
+        passedFilter: 0,
+        totalPlots: 0,
+      });
+    }
+
+    return this.harvesters.get(nodeId);
+  }
+
+  recordFarmingInfo({ nodeId, responseTime, passedFilter, totalPlots }) {
+    if (!nodeId) {
+      return;
+    }
+    const harvester = this.getOrCreateHarvester(nodeId);
+    harvester.lastSeen = new Date();
+    harvester.passedFilter += passedFilter || 0;
+    harvester.totalPlots += totalPlots || 0;
+    if (responseTime !== undefined) {
+      harvester.responseTimes.unshift(responseTime);
+      harvester.responseTimes = harvester.responseTimes.slice(0, this.getResponseTimeSampleSize());
+    }
+  }
+
+  // Harvesters in the listing are connected, previously known harvesters missing from it are not
+  updateConnectedHarvesters(connectedHarvesters) {
+    this.hasHarvesterListing = true;
+    this.harvesters.forEach(harvester => {
+      harvester.isConnected = false;
+    });
+    connectedHarvesters.forEach(connectedHarvester => {
+      const connection = connectedHarvester.connection || {};
+      if (!connection.node_id) {
+        return;
+      }
+      const harvester = this.getOrCreateHarvester(connection.node_id);
+      harvester.host = connection.host;
+      harvester.plotCount = Array.isArray(connectedHarvester.plots) ? connectedHarvester.plots.length : connectedHarvester.plots;
+      harvester.isConnected = true;
+      if (!harvester.lastSeen) {
+        harvester.lastSeen = new Date();
+      }
+    });
+  }
+
+  // Harvesters which were removed on purpose would otherwise be reported as offline forever
+  removeForgottenHarvesters() {
+    const forgetBefore = moment().subtract(this.getForgetAfterInHours(), 'hours');
+    this.harvesters.forEach((harvester, nodeId) => {
+      if (!harvester.isConnected && moment(harvester.lastSeen).isBefore(forgetBefore)) {
+        this.harvesters.delete(nodeId);
+      }
+    });
+  }
+
+  getStats() {
+    this.removeForgottenHarvesters();
+
+    return Array.from(this.harvesters.values()).map(harvester => {
+      const { responseTimes } = harvester;
+
+      return {
+        nodeId: harvester.nodeId,
+        host: harvester.host,
+        plotCount: harvester.plotCount,
+        isConnected: this.hasHarvesterListing ? harvester.isConnected : null,
+        lastSeen: harvester.lastSeen,
+        averageResponseTime: responseTimes.length > 0
+          ? responseTimes.reduce((acc, curr) => acc.plus(curr), new BigNumber(0)).dividedBy(responseTimes.length).toNumber()
+          : null,
+        worstResponseTime: responseTimes.length > 0 ? Math.max(...responseTimes) : null,
+        passedFilterRatio: harvester.totalPlots > 0 ? harvester.passedFilter / harvester.totalPlots : null,
+      };
+    });
+  }
+}
+
+module.exports = HarvesterTracker;
@@ -0,0 +1,189 @@
+const { promises: fs } = require('fs');
+const { join } = require('path');
+const moment = require('moment');
+
+const resolutions = {
+  minute: { segmentFormat: 'YYYY-MM-DD', segmentUnit: 'day' },
+  hour: { segmentFormat: 'YYYY-MM', segmentUnit: 'month' },
+  day: { segmentFormat: 'YYYY', segmentUnit: 'year' },
+};
+const segmentFileRegex = /^(minute|hour|day)-([0-9-]+)\.jsonl$/;
+
+const toRecord = ({ start, metrics }) => ({
+  timestamp: start.toISOString(),
+  metrics: Object.keys(metrics).reduce((acc, name) => {
+    const { count, sum, min, max, last } = metrics[name];
+    acc[name] = { avg: sum / count, min, max, last, count };
+
+    return acc;
+  }, {}),
+});
+
+// Records of the same bucket occur when a partial bucket was flushed before a restart
+const mergeRecords = (record, otherRecord) => {
+  const metrics = { ...record.metrics };
+  Object.keys(otherRecord.metrics).forEach(name => {
+    const existing = metrics[name];
+    const other = otherRecord.metrics[name];
+    if (!existing) {
+      metrics[name] = other;
+
+      return;
+    }
+    const count = existing.count + other.count;
+    metrics[name] = {
+      avg: (existing.avg * existing.count + other.avg * other.count) / count,
+      min: Math.min(existing.min, other.min),
+      max: Math.max(existing.max, other.max),
+      last: other.last,
+      count,
+    };
+  });
+
+  return { timestamp: record.timestamp, metrics };
+};
+
+class HistoryStore {
+  constructor({ directory, retentionInDays }) {
+    this.directory = directory;
+    this.retentionInDays = retentionInDays;
+    this.buckets = new Map();
+    this.writePromise = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await this.applyRetention();
+  }
+
+  async record(values, date = new Date()) {
+    for (const resolution of Object.keys(resolutions)) {
+      const bucketStart = moment(date).startOf(resolution);
+      let bucket = this.buckets.get(resolution);
+      if (bucket && !bucket.start.isSame(bucketStart)) {
+        await this.append(resolution, bucket);
+        if (resolution === 'day') {
+          await this.applyRetention();
+        }
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = { start: bucketStart, metrics: {} };
+        this.buckets.set(resolution, bucket);
+      }
+      Object.keys(values)
+        .filter(name => values[name] !== null && values[name] !== undefined && Number.isFinite(Number(values[name])))
+        .forEach(name => {
+          const value = Number(values[name]);
+          const metric = bucket.metrics[name];
+          if (!metric) {
+            bucket.metrics[name] = { count: 1, sum: value, min: value, max: value, last: value };
+
+            return;
+          }
+          metric.count += 1;
+          metric.sum += value;
+          metric.min = Math.min(metric.min, value);
+          metric.max = Math.max(metric.max, value);
+          metric.last = value;
+        });
+    }
+  }
+
+  async flush() {
+    for (const [resolution, bucket] of this.buckets) {
+      await this.append(resolution, bucket);
+    }
+    this.buckets.clear();
+  }
+
+  async append(resolution, bucket) {
+    if (Object.keys(bucket.metrics).length === 0) {
+      return;
+    }
+    const line = `${JSON.stringify(toRecord(bucket))}\n`;
+    const segmentFilePath = this.getSegmentFilePath(resolution, bucket.start);
+    this.writePromise = this.writePromise.then(() => fs.appendFile(segmentFilePath, line, 'utf8'));
+    await this.writePromise;
+  }
+
+  getSegmentFilePath(resolution, date) {
+    return join(this.directory, `${resolution}-${moment(date).format(resolutions[resolution].segmentFormat)}.jsonl`);
+  }
+
+  async applyRetention() {
+    const fileNames = await fs.readdir(this.directory);
+    for (const fileName of fileNames) {
+      const matches = fileName.match(segmentFileRegex);
+      if (!matches) {
+        continue;
+      }
+      const [, resolution, segmentKey] = matches;
+      const { segmentFormat, segmentUnit } = resolutions[resolution];
+      const segmentEnd = moment(segmentKey, segmentFormat).endOf(segmentUnit);
+      if (segmentEnd.isBefore(moment().subtract(this.retentionInDays[resolution], 'days'))) {
+        await fs.unlink(join(this.directory, fileName));
+      }
+    }
+  }
+
+  async query({ resolution = 'hour', from, to, metrics } = {}) {
+    if (!resolutions[resolution]) {
+      throw new Error(`Unknown history resolution: ${resolution}`);
+    }
+    const { segmentUnit } = resolutions[resolution];
+    const start = from ? moment(from) : moment().subtract(this.retentionInDays[resolution], 'days');
+    const end = to ? moment(to) : moment();
+    const records = [];
+    for (let segment = moment(start).startOf(segmentUnit); segment.isSameOrBefore(end); segment.add(1, segmentUnit)) {
+      let content;
+      try {
+        content = await fs.readFile(this.getSegmentFilePath(resolution, segment), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          continue;
+        }
+        throw err;
+      }
+      content.split('\n').filter(line => line.trim()).forEach(line => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (err) {
+          // Skip lines which were only partially written
+        }
+      });
+    }
+    const currentBucket = this.buckets.get(resolution);
+    if (currentBucket && Object.keys(currentBucket.metrics).length > 0) {
+      records.push(toRecord(currentBucket));
+    }
+    const recordsByTimestamp = new Map();
+    records
+      .filter(record => moment(record.timestamp).isBetween(start, end, undefined, '[]'))
+      .forEach(record => {
+        const existing = recordsByTimestamp.get(record.timestamp);
+        recordsByTimestamp.set(record.timestamp, existing ? mergeRecords(existing, record) : record);
+      });
+
+    return Array.from(recordsByTimestamp.values())
+      .sort((a, b) => moment(a.timestamp).diff(b.timestamp))
+      .map(record => {
+        if (!metrics) {
+          return record;
+        }
+
+        return {
+          timestamp: record.timestamp,
+          metrics: metrics.reduce((acc, name) => {
+            if (record.metrics[name]) {
+              acc[name] = record.metrics[name];
+            }
+
+            return acc;
+          }, {}),
+        };
+      });
+  }
+}
+
+module.exports = HistoryStore;
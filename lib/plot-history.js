@@ -0,0 +1,77 @@
+const { promises: fs } = require('fs');
+const moment = require('moment');
+
+const historyRetentionInDays = 30;
+const dailyHistoryLength = 7;
+const recentPlotsLength = 10;
+
+const getAverage = (values) => values.length > 0 ? Math.round(values.reduce((acc, value) => acc + value, 0) / values.length) : null;
+
+class PlotHistory {
+  constructor({ historyFilePath, isReadOnly = false }) {
+    this.historyFilePath = historyFilePath;
+    this.isReadOnly = isReadOnly;
+    this.completedPlots = [];
+  }
+
+  async init() {
+    try {
+      this.completedPlots = JSON.parse(await fs.readFile(this.historyFilePath, 'utf8'));
+    } catch (err) {
+      // Start over when the history is missing or corrupted
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+        throw err;
+      }
+    }
+  }
+
+  async addCompletedPlot({ id, plotter, kSize, startedAt, durationInSeconds, finalDir }) {
+    if (this.completedPlots.some(plot => plot.id === id)) {
+      return;
+    }
+    this.completedPlots.push({
+      id,
+      plotter: plotter || null,
+      kSize,
+      startedAt: startedAt ? moment(startedAt).toISOString() : null,
+      finishedAt: new Date().toISOString(),
+      durationInSeconds: durationInSeconds !== null && durationInSeconds !== undefined ? Math.round(durationInSeconds) : null,
+      finalDir: finalDir || null,
+    });
+    const retentionStart = moment().subtract(historyRetentionInDays, 'days');
+    this.completedPlots = this.completedPlots.filter(plot => moment(plot.finishedAt).isAfter(retentionStart));
+    if (!this.isReadOnly) {
+      await fs.writeFile(this.historyFilePath, JSON.stringify(this.completedPlots), 'utf8');
+    }
+  }
+
+  getPlotsBetween(start, end) {
+    return this.completedPlots.filter(plot => moment(plot.finishedAt).isSameOrAfter(start) && moment(plot.finishedAt).isBefore(end));
+  }
+
+  getStats() {
+    const now = moment();
+    const plotsOfLast24Hours = this.getPlotsBetween(moment(now).subtract(1, 'day'), now);
+    const getDurations = plots => plots.map(plot => plot.durationInSeconds).filter(duration => duration !== null);
+
+    return {
+      last24Hours: {
+        count: plotsOfLast24Hours.length,
+        averageDurationInSeconds: getAverage(getDurations(plotsOfLast24Hours)),
+      },
+      daily: Array.from({ length: dailyHistoryLength }, (_, index) => {
+        const dayStart = moment(now).startOf('day').subtract(index, 'days');
+        const plots = this.getPlotsBetween(dayStart, moment(dayStart).add(1, 'day'));
+
+        return {
+          date: dayStart.format('YYYY-MM-DD'),
+          count: plots.length,
+          averageDurationInSeconds: getAverage(getDurations(plots)),
+        };
+      }),
+      recent: this.completedPlots.slice(-recentPlotsLength).reverse(),
+    };
+  }
+}
+
+module.exports = PlotHistory;
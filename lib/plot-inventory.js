@@ -0,0 +1,92 @@
+const BigNumber = require('bignumber.js')
+
+const Capacity = require('./capacity')
+const { getEffectivePlotSizeInBytes, getCompressionLevelOfPlot } = require('./util')
+
+// Harvester file names use the separator of the harvester host, which might differ from ours
+const getDirectoryOfPlot = (filename) => filename.replace(/[\\/][^\\/]*$/, '')
+
+const makeBreakdownEntry = (path) => ({
+  path,
+  plotCount: 0,
+  kSizes: {},
+  compressionLevels: {},
+  rawCapacityInGib: new BigNumber(0),
+  effectiveCapacityInGib: new BigNumber(0),
+})
+
+const addPlotToBreakdownEntry = (entry, plot) => {
+  const compressionLevel = getCompressionLevelOfPlot(plot)
+  entry.plotCount += 1
+  entry.kSizes[plot.size] = (entry.kSizes[plot.size] || 0) + 1
+  entry.compressionLevels[compressionLevel] = (entry.compressionLevels[compressionLevel] || 0) + 1
+  entry.rawCapacityInGib = entry.rawCapacityInGib.plus(Capacity.fromBytes(plot.file_size).capacityInGib)
+  entry.effectiveCapacityInGib = entry.effectiveCapacityInGib.plus(Capacity.fromBytes(getEffectivePlotSizeInBytes(plot.size)).capacityInGib)
+}
+
+const finalizeBreakdown = (entriesByPath) => Array.from(entriesByPath.values())
+  .map(entry => ({
+    ...entry,
+    rawCapacityInGib: entry.rawCapacityInGib.toString(),
+    effectiveCapacityInGib: entry.effectiveCapacityInGib.toString(),
+  }))
+  .sort((a, b) => a.path.localeCompare(b.path))
+
+const getPlotsByCompressionLevel = (plots) => {
+  const plotsByCompressionLevel = new Map()
+  plots.forEach(plot => {
+    const compressionLevel = getCompressionLevelOfPlot(plot)
+    if (!plotsByCompressionLevel.has(compressionLevel)) {
+      plotsByCompressionLevel.set(compressionLevel, {
+        compressionLevel,
+        count: 0,
+        rawCapacityInGib: new BigNumber(0),
+        effectiveCapacityInGib: new BigNumber(0),
+      })
+    }
+    const entry = plotsByCompressionLevel.get(compressionLevel)
+    entry.count += 1
+    entry.rawCapacityInGib = entry.rawCapacityInGib.plus(Capacity.fromBytes(plot.file_size).capacityInGib)
+    entry.effectiveCapacityInGib = entry.effectiveCapacityInGib.plus(Capacity.fromBytes(getEffectivePlotSizeInBytes(plot.size)).capacityInGib)
+  })
+
+  return Array.from(plotsByCompressionLevel.values())
+    .map(entry => ({
+      ...entry,
+      rawCapacityInGib: entry.rawCapacityInGib.toString(),
+      effectiveCapacityInGib: entry.effectiveCapacityInGib.toString(),
+    }))
+    // Plots of an unknown compression level are listed last
+    .sort((a, b) => (a.compressionLevel === null ? Infinity : a.compressionLevel) - (b.compressionLevel === null ? Infinity : b.compressionLevel))
+}
+
+const getPlotInventory = async ({ getPlotsResponse, diskResolver }) => {
+  const plots = getPlotsResponse.plots || []
+  const directories = new Map()
+  const disks = new Map()
+  for (const plot of plots) {
+    const directory = getDirectoryOfPlot(plot.filename)
+    if (!directories.has(directory)) {
+      directories.set(directory, makeBreakdownEntry(directory))
+    }
+    addPlotToBreakdownEntry(directories.get(directory), plot)
+    const disk = await diskResolver.getMountPoint(directory)
+    if (!disks.has(disk)) {
+      disks.set(disk, makeBreakdownEntry(disk))
+    }
+    addPlotToBreakdownEntry(disks.get(disk), plot)
+  }
+
+  return {
+    directories: finalizeBreakdown(directories),
+    disks: finalizeBreakdown(disks),
+    failedToOpenPlots: getPlotsResponse.failed_to_open_filenames || [],
+    notFoundPlots: getPlotsResponse.not_found_filenames || [],
+    noKeyPlots: getPlotsResponse.no_key_filenames || [],
+    // The harvester drops duplicates before listing the plots, so only the paths it reports itself are known. Harvesters
+    // which do not report them have no duplicate list.
+    duplicatePlots: getPlotsResponse.duplicates || null,
+  }
+}
+
+module.exports = { getPlotInventory, getPlotsByCompressionLevel }
@@ -0,0 +1,51 @@
+const { getLastMatch, getPhaseTimes } = require('./matchers');
+
+const tableCount = 7;
+
+// bladebit reports every table it finished, phase 1 forward propagates tables 2 to 7, phase 2 prunes tables 6 to 2 and
+// phase 3 compresses the table pairs 1 and 2 to 6 and 7
+const getPhaseProgress = (log, phase) => {
+  if (phase === 1) {
+    const propagatedTable = getLastMatch(log, /Finished forward propagating table (\d)/);
+
+    return propagatedTable ? (parseInt(propagatedTable[1], 10) - 1) / (tableCount - 1) : 0;
+  }
+  if (phase === 2) {
+    const prunedTable = getLastMatch(log, /Finished prunn?ing table (\d)/);
+
+    return prunedTable ? (tableCount - parseInt(prunedTable[1], 10)) / (tableCount - 2) : 0;
+  }
+  if (phase === 3) {
+    const compressedTables = getLastMatch(log, /Finished compressing tables (\d) and \d/);
+
+    return compressedTables ? parseInt(compressedTables[1], 10) / (tableCount - 1) : 0;
+  }
+
+  return 0;
+};
+
+module.exports = {
+  name: 'bladebit',
+  // The cuda plotter does not have a fourth phase, its jobs simply finish after phase three
+  phaseWeights: [0.5, 0.15, 0.3, 0.05],
+  detect: (log) => /bladebit|Running Phase \d/i.test(log),
+  parse: (log) => {
+    const runningPhase = getLastMatch(log, /Running Phase (\d)/);
+    const phase = runningPhase ? parseInt(runningPhase[1], 10) : null;
+    const tempDirs = [
+      getLastMatch(log, /Temp1 path\s*:\s*(.+)/),
+      getLastMatch(log, /Temp2 path\s*:\s*(.+)/),
+    ].filter(match => !!match).map(match => match[1].trim());
+    const finalDir = getLastMatch(log, /Output path\s*:\s*(.+)/);
+    const totalTime = getLastMatch(log, /Finished plotting in ([\d.]+) seconds/);
+
+    return {
+      phase,
+      phaseProgress: Math.min(getPhaseProgress(log, phase), 1),
+      phaseTimes: getPhaseTimes(log, /Finished Phase (\d) in ([\d.]+) seconds/g),
+      tempDirs,
+      finalDir: finalDir ? finalDir[1].trim() : null,
+      totalTimeInSeconds: totalTime ? parseFloat(totalTime[1]) : null,
+    };
+  },
+};
@@ -0,0 +1,37 @@
+const { getLastMatch, getPhaseTimes } = require('./matchers');
+
+const tableCount = 7;
+
+module.exports = {
+  name: 'chiapos',
+  // Relative durations of the four phases of a typical chiapos plot
+  phaseWeights: [0.4, 0.17, 0.39, 0.04],
+  detect: (log) => /Starting phase 1\/4|Starting plotting progress into temporary dirs/.test(log),
+  parse: (log) => {
+    const tempDirs = getLastMatch(log, /Starting plotting progress into temporary dirs: (.+) and (.+)/);
+    const finalFile = getLastMatch(log, /(?:Renamed|Copied) final file from ".+" to "(.+)"/);
+    const startedPhase = getLastMatch(log, /Starting phase (\d)\/4/);
+    const phase = startedPhase ? parseInt(startedPhase[1], 10) : null;
+    let phaseProgress = 0;
+    if (phase === 1) {
+      const computedTable = getLastMatch(log, /Computing table (\d)/);
+      phaseProgress = computedTable ? (parseInt(computedTable[1], 10) - 1) / (tableCount - 1) : 0;
+    } else if (phase === 2) {
+      const backpropagatedTable = getLastMatch(log, /Backpropagating on table (\d)/);
+      phaseProgress = backpropagatedTable ? (tableCount - parseInt(backpropagatedTable[1], 10)) / (tableCount - 1) : 0;
+    } else if (phase === 3) {
+      const compressedTables = getLastMatch(log, /Compressing tables (\d) and (\d)/);
+      phaseProgress = compressedTables ? (parseInt(compressedTables[1], 10) - 1) / (tableCount - 1) : 0;
+    }
+    const totalTime = getLastMatch(log, /Total time = ([\d.]+) seconds/);
+
+    return {
+      phase,
+      phaseProgress,
+      phaseTimes: getPhaseTimes(log, /Time for phase (\d) = ([\d.]+) seconds/g),
+      tempDirs: tempDirs ? [tempDirs[1].trim(), tempDirs[2].trim()] : [],
+      finalDir: finalFile ? finalFile[1].replace(/[\\/][^\\/]+$/, '') : null,
+      totalTimeInSeconds: totalTime ? parseFloat(totalTime[1]) : null,
+    };
+  },
+};
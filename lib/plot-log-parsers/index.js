@@ -0,0 +1,47 @@
+const chiapos = require('./chiapos');
+const madmax = require('./madmax');
+const bladebit = require('./bladebit');
+
+// Order matters for detection, the madmax and bladebit logs are more specific than the chiapos ones
+const parsers = [madmax, bladebit, chiapos];
+
+const getParser = ({ plotter, log }) => {
+  if (plotter) {
+    const parser = parsers.find(curr => plotter.startsWith(curr.name));
+    if (parser) {
+      return parser;
+    }
+  }
+
+  return parsers.find(curr => curr.detect(log)) || null;
+};
+
+const getProgress = ({ phaseWeights, phase, phaseProgress }) => {
+  if (!phase) {
+    return 0;
+  }
+  const finishedPhasesWeight = phaseWeights.slice(0, phase - 1).reduce((acc, weight) => acc + weight, 0);
+  const progress = finishedPhasesWeight + (phaseWeights[phase - 1] || 0) * phaseProgress;
+
+  return Math.min(Math.round(progress * 10000) / 10000, 1);
+};
+
+const parsePlotLog = ({ plotter, log }) => {
+  if (!log) {
+    return null;
+  }
+  const parser = getParser({ plotter, log });
+  if (!parser) {
+    return null;
+  }
+  const { phaseProgress, ...parsedLog } = parser.parse(log);
+  const hasFinishedPhase = parsedLog.phaseTimes[parsedLog.phase] !== undefined;
+
+  return {
+    plotter: parser.name,
+    ...parsedLog,
+    progress: getProgress({ phaseWeights: parser.phaseWeights, phase: parsedLog.phase, phaseProgress: hasFinishedPhase ? 1 : phaseProgress }),
+  };
+};
+
+module.exports = { parsePlotLog };
@@ -0,0 +1,42 @@
+const { getLastMatch, getPhaseTimes } = require('./matchers');
+
+const tableCount = 7;
+
+module.exports = {
+  name: 'madmax',
+  phaseWeights: [0.4, 0.2, 0.35, 0.05],
+  detect: (log) => /Multi-threaded pipelined Chia|Working Directory 2:|\[P1\]/.test(log),
+  parse: (log) => {
+    const phaseTimes = getPhaseTimes(log, /Phase (\d) took ([\d.]+) sec/g);
+    // madmax does not announce phases, only the per table progress is prefixed with the phase
+    const phaseMarker = getLastMatch(log, /\[P(\d)/);
+    const finishedPhases = Object.keys(phaseTimes).map(phase => parseInt(phase, 10));
+    const phase = Math.max(phaseMarker ? parseInt(phaseMarker[1], 10) : 1, ...finishedPhases.map(curr => curr + 1));
+    let phaseProgress = 0;
+    if (phase === 1) {
+      const finishedTable = getLastMatch(log, /\[P1\] Table (\d) took/);
+      phaseProgress = finishedTable ? parseInt(finishedTable[1], 10) / tableCount : 0;
+    } else if (phase === 2) {
+      const rewrittenTable = getLastMatch(log, /\[P2\] Table (\d) rewrite took/);
+      phaseProgress = rewrittenTable ? (tableCount + 1 - parseInt(rewrittenTable[1], 10)) / (tableCount - 1) : 0;
+    } else if (phase === 3) {
+      const compressedTable = getLastMatch(log, /\[P3-2\] Table (\d) took/);
+      phaseProgress = compressedTable ? (parseInt(compressedTable[1], 10) - 1) / (tableCount - 1) : 0;
+    }
+    const tempDirs = [
+      getLastMatch(log, /Working Directory:\s*(.+)/),
+      getLastMatch(log, /Working Directory 2:\s*(.+)/),
+    ].filter(match => !!match).map(match => match[1].trim());
+    const finalDir = getLastMatch(log, /Final Directory:\s*(.+)/);
+    const totalTime = getLastMatch(log, /Total plot creation time was ([\d.]+) sec/);
+
+    return {
+      phase: Math.min(phase, 4),
+      phaseProgress: Math.min(phaseProgress, 1),
+      phaseTimes,
+      tempDirs,
+      finalDir: finalDir ? finalDir[1].trim() : null,
+      totalTimeInSeconds: totalTime ? parseFloat(totalTime[1]) : null,
+    };
+  },
+};
@@ -0,0 +1,21 @@
+const getLastMatch = (log, regex) => {
+  const globalRegex = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  let lastMatch = null;
+  for (const match of log.matchAll(globalRegex)) {
+    lastMatch = match;
+  }
+
+  return lastMatch;
+};
+
+// Collects `<phase> ... <seconds>` matches into an object keyed by phase
+const getPhaseTimes = (log, regex) => {
+  const phaseTimes = {};
+  for (const match of log.matchAll(regex)) {
+    phaseTimes[match[1]] = parseFloat(match[2]);
+  }
+
+  return phaseTimes;
+};
+
+module.exports = { getLastMatch, getPhaseTimes };
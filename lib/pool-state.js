@@ -0,0 +1,60 @@
+const poolErrorCodes = {
+  1: 'REVERTED_SIGNAGE_POINT',
+  2: 'TOO_LATE',
+  3: 'NOT_FOUND',
+  4: 'INVALID_PROOF',
+  5: 'PROOF_NOT_GOOD_ENOUGH',
+  6: 'INVALID_DIFFICULTY',
+  7: 'INVALID_SIGNATURE',
+  8: 'SERVER_EXCEPTION',
+  9: 'INVALID_P2_SINGLETON_PUZZLE_HASH',
+  10: 'FARMER_NOT_KNOWN',
+  11: 'FARMER_ALREADY_KNOWN',
+  12: 'INVALID_AUTHENTICATION_TOKEN',
+  13: 'INVALID_PAYOUT_INSTRUCTIONS',
+  14: 'INVALID_SINGLETON',
+  15: 'DELAY_TIME_TOO_SHORT',
+  16: 'REQUEST_FAILED',
+}
+
+const getErrorType = (error) => poolErrorCodes[error.error_code] || `UNKNOWN_${error.error_code}`
+
+// The 24h series of the farmer are lists of [timestamp, value] tuples
+const sumPoints = (series) => (series || []).reduce((acc, [, points]) => acc + points, 0)
+
+const getRelevantPoolState = (poolState) => {
+  const poolConfig = poolState.pool_config || {}
+  const poolErrors = poolState.pool_errors_24h || []
+  const partialErrors = poolErrors.reduce((acc, [, error]) => {
+    const errorType = getErrorType(error)
+    acc[errorType] = (acc[errorType] || 0) + 1
+
+    return acc
+  }, {})
+  const partialsSubmitted = (poolState.points_found_24h || []).length
+  const lastError = poolErrors.length > 0 ? poolErrors[poolErrors.length - 1] : null
+  const lastErrorType = lastError ? getErrorType(lastError[1]) : null
+  const lastAcknowledgedAt = (poolState.points_acknowledged_24h || []).reduce((acc, [timestamp]) => Math.max(acc, timestamp), 0)
+
+  return {
+    launcherId: poolConfig.launcher_id,
+    poolUrl: poolConfig.pool_url,
+    plotCount: poolState.plot_count,
+    currentDifficulty: poolState.current_difficulty,
+    currentPoints: poolState.current_points,
+    pointsFound24h: sumPoints(poolState.points_found_24h),
+    pointsAcknowledged24h: sumPoints(poolState.points_acknowledged_24h),
+    partialErrors24h: partialErrors,
+    partialErrorRate: partialsSubmitted > 0 ? poolErrors.length / partialsSubmitted : 0,
+    farmerStatus: {
+      isKnownToPool: lastErrorType !== 'FARMER_NOT_KNOWN' || lastAcknowledgedAt > lastError[0],
+      lastError: lastError ? {
+        timestamp: lastError[0],
+        type: lastErrorType,
+        message: lastError[1].error_message,
+      } : null,
+    },
+  }
+}
+
+module.exports = { getRelevantPoolState, poolErrorCodes }
@@ -0,0 +1,49 @@
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+class PrometheusMetrics {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  gauge({ name, help, value, labels = {} }) {
+    if (value === undefined || value === null) {
+      return;
+    }
+    const numericValue = Number(value);
+    if (Number.isNaN(numericValue)) {
+      return;
+    }
+    const fullName = `${this.prefix}_${name}`;
+    if (!this.metrics.has(fullName)) {
+      this.metrics.set(fullName, { help, samples: [] });
+    }
+    this.metrics.get(fullName).samples.push({ labels, value: numericValue });
+  }
+
+  withLabels(labels) {
+    return {
+      gauge: ({ labels: gaugeLabels = {}, ...gauge }) => this.gauge({ ...gauge, labels: { ...labels, ...gaugeLabels } }),
+    };
+  }
+
+  toString() {
+    const lines = [];
+    this.metrics.forEach(({ help, samples }, name) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} gauge`);
+      samples.forEach(({ labels, value }) => {
+        const labelPairs = Object.keys(labels).map(key => `${key}="${escapeLabelValue(labels[key])}"`);
+        const labelString = labelPairs.length > 0 ? `{${labelPairs.join(',')}}` : '';
+        lines.push(`${name}${labelString} ${value}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = PrometheusMetrics;
@@ -0,0 +1,212 @@
+const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const dayOfWeekNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const fields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: monthNames },
+  // Both 0 and 7 are sunday
+  { name: 'day of week', min: 0, max: 7, names: dayOfWeekNames },
+];
+
+const shortcuts = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Bounds the search for expressions which (almost) never match, eg. the 30th of february
+const maximumSearchSteps = 100000;
+
+const parseFieldValue = (value, { name, min, max, names }) => {
+  const nameIndex = names ? names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + (name === 'month' ? 1 : 0) : Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`'${value}' is not a valid ${name}`);
+  }
+
+  return number;
+};
+
+const parseField = (expression, field) => {
+  const values = new Set();
+  expression.split(',').forEach(part => {
+    const [range, step] = part.split('/');
+    const stepSize = step === undefined ? 1 : Number(step);
+    if (!Number.isInteger(stepSize) || stepSize < 1) {
+      throw new Error(`'${step}' is not a valid step for the ${field.name}`);
+    }
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [rangeStart, rangeEnd] = range.split('-');
+      start = parseFieldValue(rangeStart, field);
+      end = rangeEnd !== undefined ? parseFieldValue(rangeEnd, field) : (step !== undefined ? field.max : start);
+    }
+    if (start > end) {
+      throw new Error(`'${range}' is not a valid range for the ${field.name}`);
+    }
+    for (let value = start; value <= end; value += stepSize) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+const getTimezoneOffsetInMs = (date, timezone) => {
+  if (!timezone) {
+    return -date.getTimezoneOffset() * 60 * 1000;
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const getPart = type => Number(parts.find(part => part.type === type).value);
+  const wallTime = Date.UTC(getPart('year'), getPart('month') - 1, getPart('day'), getPart('hour') % 24, getPart('minute'), getPart('second'));
+
+  return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The wall clock time of the timezone is represented by the UTC fields of the returned date
+const toWallTime = (date, timezone) => new Date(date.getTime() + getTimezoneOffsetInMs(date, timezone));
+
+// Matching is done on the wall clock time of the timezone
+class CronSchedule {
+  constructor({ expression, timezone }) {
+    this.expression = expression;
+    this.timezone = timezone;
+    if (timezone) {
+      // Throws a RangeError for unknown timezones
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    }
+    const fieldExpressions = (shortcuts[expression.trim()] || expression).trim().split(/\s+/);
+    if (fieldExpressions.length !== fields.length) {
+      throw new Error(`Expected ${fields.length} fields but got ${fieldExpressions.length}`);
+    }
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = fieldExpressions
+      .map((fieldExpression, index) => parseField(fieldExpression, fields[index]));
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.add(0);
+    }
+    this.isDayOfMonthRestricted = !fieldExpressions[2].startsWith('*');
+    this.isDayOfWeekRestricted = !fieldExpressions[4].startsWith('*');
+  }
+
+  // Like cron a day matches either field when both are restricted
+  matchesDay(wallTime) {
+    const matchesDayOfMonth = this.daysOfMonth.has(wallTime.getUTCDate());
+    const matchesDayOfWeek = this.daysOfWeek.has(wallTime.getUTCDay());
+    if (this.isDayOfMonthRestricted && this.isDayOfWeekRestricted) {
+      return matchesDayOfMonth || matchesDayOfWeek;
+    }
+
+    return matchesDayOfMonth && matchesDayOfWeek;
+  }
+
+  toWallTime(date) {
+    return toWallTime(date, this.timezone);
+  }
+
+  fromWallTime(wallTime) {
+    const estimate = new Date(wallTime.getTime() - getTimezoneOffsetInMs(wallTime, this.timezone));
+
+    return new Date(wallTime.getTime() - getTimezoneOffsetInMs(estimate, this.timezone));
+  }
+
+  getNextMatch(after) {
+    const wallTime = this.toWallTime(after);
+    wallTime.setUTCSeconds(0, 0);
+    wallTime.setUTCMinutes(wallTime.getUTCMinutes() + 1);
+    for (let step = 0; step < maximumSearchSteps; step += 1) {
+      if (!this.months.has(wallTime.getUTCMonth() + 1)) {
+        wallTime.setUTCMonth(wallTime.getUTCMonth() + 1, 1);
+        wallTime.setUTCHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(wallTime)) {
+        wallTime.setUTCDate(wallTime.getUTCDate() + 1);
+        wallTime.setUTCHours(0, 0, 0, 0);
+      } else if (!this.hours.has(wallTime.getUTCHours())) {
+        wallTime.setUTCHours(wallTime.getUTCHours() + 1, 0, 0, 0);
+      } else if (!this.minutes.has(wallTime.getUTCMinutes())) {
+        wallTime.setUTCMinutes(wallTime.getUTCMinutes() + 1, 0, 0);
+      } else {
+        const match = this.fromWallTime(wallTime);
+        if (match > after) {
+          return match;
+        }
+        wallTime.setUTCMinutes(wallTime.getUTCMinutes() + 1, 0, 0);
+      }
+    }
+    throw new Error(`'${this.expression}' does not match any time`);
+  }
+
+  getPreviousMatch(before) {
+    const wallTime = this.toWallTime(before);
+    wallTime.setUTCSeconds(0, 0);
+    for (let step = 0; step < maximumSearchSteps; step += 1) {
+      if (!this.months.has(wallTime.getUTCMonth() + 1)) {
+        wallTime.setUTCDate(1);
+        wallTime.setUTCHours(0, -1, 0, 0);
+      } else if (!this.matchesDay(wallTime)) {
+        wallTime.setUTCHours(0, -1, 0, 0);
+      } else if (!this.hours.has(wallTime.getUTCHours())) {
+        wallTime.setUTCMinutes(-1, 0, 0);
+      } else if (!this.minutes.has(wallTime.getUTCMinutes())) {
+        wallTime.setUTCMinutes(wallTime.getUTCMinutes() - 1, 0, 0);
+      } else {
+        const match = this.fromWallTime(wallTime);
+        if (match <= before) {
+          return match;
+        }
+        wallTime.setUTCMinutes(wallTime.getUTCMinutes() - 1, 0, 0);
+      }
+    }
+    throw new Error(`'${this.expression}' does not match any time`);
+  }
+
+  // A run missed while the satellite was stopped is caught up once, one that already happened is not repeated
+  getNextRunAt({ now, lastRunAt }) {
+    if (lastRunAt && new Date(lastRunAt) < this.getPreviousMatch(now)) {
+      return now;
+    }
+
+    return this.getNextMatch(now);
+  }
+}
+
+class IntervalSchedule {
+  constructor({ intervalInMinutes }) {
+    this.intervalInMs = intervalInMinutes * 60 * 1000;
+  }
+
+  getNextRunAt({ now, lastRunAt }) {
+    if (!lastRunAt) {
+      return new Date(now.getTime() + this.intervalInMs);
+    }
+
+    return new Date(Math.max(new Date(lastRunAt).getTime() + this.intervalInMs, now.getTime()));
+  }
+}
+
+const createSchedule = ({ schedule, timezone, intervalInMinutes }) => {
+  if (schedule) {
+    return new CronSchedule({ expression: schedule, timezone });
+  }
+  if (intervalInMinutes) {
+    return new IntervalSchedule({ intervalInMinutes });
+  }
+  throw new Error('Either a schedule or an interval is required');
+};
+
+module.exports = { CronSchedule, IntervalSchedule, createSchedule, toWallTime };
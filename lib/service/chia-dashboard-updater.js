@@ -1,31 +1,115 @@
-const axios = require('axios');
+const { createHash } = require('crypto');
+const { join } = require('path');
 
 const config = require('./config');
-const logger = require('./logger');
-const version = require('../version');
+const DashboardTarget = require('./dashboard-target');
+
+class SubNodeDashboardUpdater {
+  constructor({ parent, label }) {
+    this.parent = parent;
+    this.label = label;
+  }
+
+  get isCompatibilityModeEnabled() {
+    return this.parent.isCompatibilityModeEnabled;
+  }
+
+  setFullStatsProvider(getFullStats) {
+    this.parent.subNodeFullStatsProviders.set(this.label, getFullStats);
+  }
+
+  setStats(service, stats, partialStats) {
+    this.parent.targets.forEach(target => target.setSubNodeStats(this.label, service, stats, partialStats));
+  }
+
+  deleteStats(service) {
+    this.parent.targets.forEach(target => target.deleteSubNodeStats(this.label, service));
+  }
+
+  updateStatsThrottled() {
+    this.parent.updateStatsThrottled();
+  }
+}
 
 class ChiaDashboardUpdater {
-  init() {
-    this.client = axios.create({
-      baseURL: `${config.chiaDashboardCoreUrl}/api`,
-      headers: {
-        Authorization: `Bearer ${config.apiKey}`,
-        'satellite-version': version,
-      },
-    });
+  constructor({ dashboards }) {
+    this.dashboards = dashboards;
+    this.targets = [];
+    this.getPrimaryFullStats = null;
+    this.subNodeFullStatsProviders = new Map();
   }
 
-  async updateStats(stats) {
-    try {
-      await this.client.patch('satellite', stats);
-    } catch (err) {
-      if (err.response && err.response.status === 401) {
-        logger.log({ level: 'error', msg: `Dashboard Updater | The api key for this satellite is invalid. Please use a valid api key!`});
-      } else {
-        logger.log({ level: 'error', msg: `Dashboard Updater | ${err}`});
-      }
+  async init() {
+    this.targets = this.dashboards.map(dashboard => new DashboardTarget({
+      ...dashboard,
+      pendingStatsFilePath: this.getPendingStatsFilePath(dashboard),
+      getFullStats: () => this.getFullStats(),
+    }));
+    await Promise.all(this.targets.map(target => target.init()));
+  }
+
+  forSubNode(label) {
+    return new SubNodeDashboardUpdater({ parent: this, label });
+  }
+
+  setFullStatsProvider(getFullStats) {
+    this.getPrimaryFullStats = getFullStats;
+  }
+
+  getFullStats() {
+    const fullStats = this.getPrimaryFullStats ? this.getPrimaryFullStats() : {};
+    if (this.subNodeFullStatsProviders.size > 0) {
+      fullStats.subNodes = {};
+      this.subNodeFullStatsProviders.forEach((getFullStats, label) => {
+        fullStats.subNodes[label] = getFullStats();
+      });
     }
+
+    return fullStats;
+  }
+
+  get isCompatibilityModeEnabled() {
+    return this.targets.some(target => target.enableCompatibilityMode);
+  }
+
+  setStats(service, stats, partialStats) {
+    this.targets.forEach(target => target.setStats(service, stats, partialStats));
+  }
+
+  deleteStats(service) {
+    this.targets.forEach(target => target.deleteStats(service));
+  }
+
+  updateStatsThrottled() {
+    this.targets.forEach(target => target.updateStatsThrottled());
+  }
+
+  async close() {
+    await Promise.all(this.targets.map(target => target.close()));
+  }
+
+  // Returns false when dashboards were added, removed or changed their url or api key, which requires a restart
+  applyDashboards(dashboards) {
+    const getTargetKey = ({ url, apiKey }) => `${url}|${apiKey}`;
+    const currentKeys = this.targets.map(getTargetKey).sort();
+    const newKeys = dashboards.map(getTargetKey).sort();
+    dashboards.forEach(dashboard => {
+      const target = this.targets.find(curr => getTargetKey(curr) === getTargetKey(dashboard));
+      if (target) {
+        target.setUpdateMode(dashboard.updateMode);
+        target.setCompatibilityMode(dashboard.enableCompatibilityMode);
+      }
+    });
+
+    return currentKeys.length === newKeys.length && currentKeys.every((key, index) => key === newKeys[index]);
+  }
+
+  getPendingStatsFilePath({ url, apiKey }) {
+    // Derive the file name from the target itself so re-ordering targets never replays updates to the wrong dashboard
+    const targetHash = createHash('sha256').update(`${url}|${apiKey}`).digest('hex').slice(0, 16);
+
+    return join(config.configDirectory, `pending-updates-${targetHash}.json`);
   }
 }
 
-module.exports = new ChiaDashboardUpdater();
+module.exports = ChiaDashboardUpdater;
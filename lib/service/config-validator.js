@@ -0,0 +1,121 @@
+const { promises: fs } = require('fs');
+const { join } = require('path');
+const { validate } = require('uuid');
+
+const config = require('./config');
+const chiaConfigDetector = require('./chia-config-detector');
+const notifiers = require('./notifiers');
+const ChiaConfig = require('../chia-config');
+
+class ConfigValidator {
+  async validate() {
+    const errors = [];
+    const warnings = [...(config.warnings || [])];
+    if (!config.configExists && !config.hasEnvironmentOverrides) {
+      errors.push(`No config found at ${config.configFilePath}`);
+
+      return { errors, warnings };
+    }
+    let instances;
+    try {
+      instances = config.instances;
+    } catch (err) {
+      errors.push(`Invalid config: ${err.message}`);
+
+      return { errors, warnings };
+    }
+    const labels = instances.map(instance => instance.label);
+    labels
+      .filter((label, index) => labels.indexOf(label) !== index)
+      .forEach(label => errors.push(`Instance label '${label}' is used more than once`));
+    for (const instance of instances) {
+      const prefix = instance.label ? `Instance '${instance.label}': ` : '';
+      await this.validateDaemonConnection({ instance, prefix, errors });
+      (instance.dashboards || []).forEach(dashboard => this.validateDashboard({ dashboard, prefix, errors }));
+    }
+    for (const [format, filePath] of Object.entries(config.summaryReportTemplates)) {
+      if (filePath) {
+        await this.validateFileIsReadable({ filePath, description: `${format} summary report template`, errors });
+      }
+    }
+    this.validateNotifierReferences({ errors, warnings });
+
+    return { errors, warnings };
+  }
+
+  async validateDaemonConnection({ instance, prefix, errors }) {
+    if (!instance.chiaConfigDirectory) {
+      if (!instance.chiaDaemonAddress || !instance.daemonSslCertFile || !instance.daemonSslKeyFile) {
+        errors.push(`${prefix}either chiaConfigDirectory or chiaDaemonAddress with daemonSslCertFile and daemonSslKeyFile is required`);
+
+        return;
+      }
+      await this.validateFileIsReadable({ filePath: instance.daemonSslCertFile, description: `${prefix}daemon ssl cert file`, errors });
+      await this.validateFileIsReadable({ filePath: instance.daemonSslKeyFile, description: `${prefix}daemon ssl key file`, errors });
+
+      return;
+    }
+    if (!chiaConfigDetector.chiaConfigExistsForConfigDirectory(instance.chiaConfigDirectory)) {
+      errors.push(`${prefix}no chia config found at ${chiaConfigDetector.getChiaConfigFilePath(instance.chiaConfigDirectory)}`);
+
+      return;
+    }
+    const chiaConfig = new ChiaConfig(instance.chiaConfigDirectory);
+    try {
+      await chiaConfig.load();
+    } catch (err) {
+      errors.push(`${prefix}could not read the chia config at ${chiaConfig.configFilePath}: ${err.message}`);
+
+      return;
+    }
+    const daemonSsl = chiaConfig.config.daemon_ssl;
+    if (!daemonSsl || !daemonSsl.private_crt || !daemonSsl.private_key) {
+      errors.push(`${prefix}the chia config at ${chiaConfig.configFilePath} does not contain the daemon_ssl section`);
+
+      return;
+    }
+    await this.validateFileIsReadable({ filePath: join(instance.chiaConfigDirectory, daemonSsl.private_crt), description: `${prefix}daemon ssl cert file`, errors });
+    await this.validateFileIsReadable({ filePath: join(instance.chiaConfigDirectory, daemonSsl.private_key), description: `${prefix}daemon ssl key file`, errors });
+  }
+
+  validateNotifierReferences({ errors, warnings }) {
+    notifiers.init();
+    const names = config.summaryReports.map(summaryReport => summaryReport.name);
+    names
+      .filter((name, index) => names.indexOf(name) !== index)
+      .forEach(name => errors.push(`Summary report name '${name}' is used more than once`));
+    config.summaryReports.forEach(summaryReport => {
+      if (!summaryReport.schedule && !summaryReport.intervalInMinutes) {
+        errors.push(`Summary report '${summaryReport.name}': either schedule or intervalInMinutes is required`);
+      } else if (summaryReport.schedule && summaryReport.intervalInMinutes) {
+        warnings.push(`Summary report '${summaryReport.name}': both schedule and intervalInMinutes are set, intervalInMinutes is ignored`);
+      }
+      (summaryReport.notifiers || [])
+        .filter(name => !notifiers.names.includes(name))
+        .forEach(name => warnings.push(`Summary report '${summaryReport.name}': there is no enabled notifier named '${name}'`));
+    });
+    config.notifications.routes.forEach((route, index) => {
+      (route.notifiers || [])
+        .filter(name => !notifiers.names.includes(name))
+        .forEach(name => warnings.push(`Notification route ${index + 1}: there is no enabled notifier named '${name}'`));
+    });
+  }
+
+  validateDashboard({ dashboard, prefix, errors }) {
+    if (!dashboard.apiKey) {
+      errors.push(`${prefix}dashboard ${dashboard.name}: apiKey is missing`);
+    } else if (!validate(dashboard.apiKey)) {
+      errors.push(`${prefix}dashboard ${dashboard.name}: apiKey is not a valid api key`);
+    }
+  }
+
+  async validateFileIsReadable({ filePath, description, errors }) {
+    try {
+      await fs.access(filePath);
+    } catch (err) {
+      errors.push(`${description} ${filePath} is not readable: ${err.code}`);
+    }
+  }
+}
+
+module.exports = new ConfigValidator();
@@ -0,0 +1,117 @@
+const { watch } = require('fs');
+const { basename, dirname } = require('path');
+const { isEqual, isPlainObject } = require('lodash');
+
+const config = require('./config');
+const logger = require('./logger');
+const notifiers = require('./notifiers');
+const instanceManager = require('./instance-manager');
+
+// Editors often write a file in several steps, wait for them to finish
+const reloadDelayInMs = 1000;
+
+// Only the key names are returned so secrets never end up in the log
+const getChangedKeys = (previous, current, path = '') => {
+  const keys = Array.from(new Set(Object.keys(previous || {}).concat(Object.keys(current || {}))));
+
+  return keys
+    .filter(key => !isEqual(previous[key], current[key]))
+    .flatMap(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (isPlainObject(previous[key]) && isPlainObject(current[key])) {
+        return getChangedKeys(previous[key], current[key], keyPath);
+      }
+
+      return [keyPath];
+    });
+};
+
+class ConfigWatcher {
+  constructor() {
+    this.watcher = null;
+    this.reloadTimeout = null;
+    this.isReloading = false;
+    this.hasPendingReload = false;
+  }
+
+  init() {
+    process.on('SIGHUP', () => this.reload('SIGHUP'));
+    if (!config.configExists) {
+      return;
+    }
+    const configFileName = basename(config.configFilePath);
+    // Watch the directory as editors may replace the file instead of writing to it
+    this.watcher = watch(dirname(config.configFilePath), (eventType, fileName) => {
+      if (fileName !== configFileName) {
+        return;
+      }
+      clearTimeout(this.reloadTimeout);
+      this.reloadTimeout = setTimeout(() => this.reload('a file change'), reloadDelayInMs);
+    });
+    this.watcher.on('error', err => this.log({ level: 'error', msg: `Watching the config failed: ${err.message}` }));
+  }
+
+  async reload(reason) {
+    if (this.isReloading) {
+      this.hasPendingReload = true;
+
+      return;
+    }
+    this.isReloading = true;
+    try {
+      await this.applyChangedConfig(reason);
+    } catch (err) {
+      this.log({ level: 'error', msg: `Applying the changed config failed: ${err.message}` });
+    } finally {
+      this.isReloading = false;
+    }
+    if (this.hasPendingReload) {
+      this.hasPendingReload = false;
+      await this.reload(reason);
+    }
+  }
+
+  async applyChangedConfig(reason) {
+    let previousSettings;
+    try {
+      previousSettings = await config.reload();
+    } catch (err) {
+      this.log({ level: 'error', msg: `Keeping the current config as the changed one is invalid: ${err.message}` });
+
+      return;
+    }
+    const changedKeys = getChangedKeys(previousSettings, config.settings);
+    if (changedKeys.length === 0) {
+      return;
+    }
+    this.log({ level: 'info', msg: `Reloaded after ${reason}, changed: ${changedKeys.join(', ')}` });
+    config.warnings.forEach(warning => this.log({ level: 'warn', msg: warning }));
+    if (changedKeys.some(key => key.startsWith('notifiers'))) {
+      notifiers.init();
+    }
+    const restartRequiredFor = await instanceManager.applyConfig();
+    if (changedKeys.some(key => key.startsWith('statusServer'))) {
+      restartRequiredFor.push('statusServer');
+    }
+    if (changedKeys.includes('history.enabled')) {
+      restartRequiredFor.push('history.enabled');
+    }
+    if (restartRequiredFor.length > 0) {
+      this.log({ level: 'warn', msg: `Changes to ${restartRequiredFor.join(', ')} only take effect after a restart` });
+    }
+  }
+
+  close() {
+    clearTimeout(this.reloadTimeout);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  log({ level, msg }) {
+    logger.log({ level, msg: `Config | ${msg}` });
+  }
+}
+
+module.exports = new ConfigWatcher();
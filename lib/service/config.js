@@ -1,135 +1,250 @@
 const { promises: fs, existsSync, mkdirSync } = require('fs');
 const { homedir } = require('os');
-const { join } = require('path');
+const { dirname, join, resolve } = require('path');
 const YAML = require('js-yaml');
+const { cloneDeep, mergeWith } = require('lodash');
 const {UpdateMode} = require('../update-mode')
+const { configSchema, applyConfigSchema } = require('../config-schema');
+const { getEnvironmentOverrides, environmentVariablePrefix } = require('../config-environment');
+const { migrateConfig, currentConfigVersion } = require('../config-migrations');
 
 class Config {
+  static get defaultDashboardCoreUrl() {
+    return 'https://dashboard.netman.digital';
+  }
+
+  static get defaultFoxyDashboardApiUrl() {
+    return 'https://chia-dashboard-api.foxypool.io';
+  }
+
   async init() {
     mkdirSync(this.configDirectory, { recursive: true, mode: 0o770 });
+    mkdirSync(dirname(this.configFilePath), { recursive: true, mode: 0o770 });
+    const { overrides, errors, warnings } = getEnvironmentOverrides({ env: process.env, schema: configSchema });
+    if (errors.length > 0) {
+      throw new Error(`Invalid environment variables:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    this.environmentOverrides = overrides;
+    this.environmentWarnings = warnings;
     if (this.configExists) {
       await this.load();
+    } else if (this.hasEnvironmentOverrides) {
+      this.config = {};
+      this.warnings = [];
+      this.applySchema();
     }
   }
 
-  get initialWaitTimeInMinutes() {
-    return this.config.initialWaitTimeInMinutes || 5;
+  get hasEnvironmentOverrides() {
+    return Object.keys(this.environmentOverrides || {}).length > 0;
   }
 
-  get apiKey() {
-    return this.config.apiKey;
+  get initialWaitTimeInMinutes() {
+    return this.settings.initialWaitTimeInMinutes;
   }
 
   get nodeId() {
-    return this.config.nodeId || '';
-  }
+    return this.settings.nodeId;
+  }
+
+  get instances() {
+    const hasInstanceList = Array.isArray(this.settings.instances) && this.settings.instances.length > 0;
+    if (!hasInstanceList) {
+      return [{
+        label: '',
+        nodeId: this.nodeId,
+        chiaConfigDirectory: this.settings.chiaConfigDirectory,
+        chiaDaemonAddress: this.settings.chiaDaemonAddress,
+        daemonSslCertFile: this.settings.daemonSslCertFile,
+        daemonSslKeyFile: this.settings.daemonSslKeyFile,
+        excludedServices: this.getExcludedServices(this.settings.excludedServices),
+        dashboards: this.dashboards,
+      }];
+    }
 
-  get chiaConfigDirectory() {
-    return this.config.chiaConfigDirectory;
+    return this.settings.instances.map((instance, index) => {
+      const label = instance.label || `instance-${index + 1}`;
+      const hasOwnSatellite = instance.apiKey !== undefined || (Array.isArray(instance.dashboards) && instance.dashboards.length > 0);
+
+      return {
+        label,
+        nodeId: instance.nodeId || (this.nodeId ? `${this.nodeId} (${label})` : label),
+        chiaConfigDirectory: instance.chiaConfigDirectory,
+        chiaDaemonAddress: instance.chiaDaemonAddress,
+        daemonSslCertFile: instance.daemonSslCertFile,
+        daemonSslKeyFile: instance.daemonSslKeyFile,
+        excludedServices: this.getExcludedServices(instance.excludedServices || this.settings.excludedServices),
+        // Instances without their own api key are reported as sub nodes of the top level satellite
+        dashboards: hasOwnSatellite ? this.getDashboards({
+          dashboards: instance.dashboards,
+          chiaDashboardCoreUrl: instance.chiaDashboardCoreUrl || this.settings.chiaDashboardCoreUrl,
+          apiKey: instance.apiKey,
+          updateMode: instance.updateMode || this.settings.updateMode,
+          enableCompatibilityMode: instance.enableCompatibilityMode,
+        }) : null,
+      };
+    });
   }
 
-  get chiaDaemonAddress() {
-    return this.config.chiaDaemonAddress;
+  getExcludedServices(excludedServices) {
+    return Array.isArray(excludedServices) ? excludedServices : [];
   }
 
-  get excludedServices() {
-    return this.config.excludedServices;
+  get dashboards() {
+    return this.getDashboards(this.settings);
   }
 
-  get chiaDashboardCoreUrl() {
-    return this.config.chiaDashboardCoreUrl || 'https://dashboard.netman.digital';
-  }
+  getDashboards({ dashboards, chiaDashboardCoreUrl, apiKey, updateMode, enableCompatibilityMode }) {
+    const dashboardList = Array.isArray(dashboards) && dashboards.length > 0
+      ? dashboards
+      : [{
+        url: chiaDashboardCoreUrl,
+        apiKey,
+        updateMode,
+        enableCompatibilityMode,
+      }];
 
-  get responseTimeSampleSize() {
-    return this.config.responseTimeSampleSize || 100
-  }
+    return dashboardList.map(dashboard => {
+      const url = dashboard.url || Config.defaultDashboardCoreUrl;
 
-  get maximumFarmingInfos() {
-    return Math.min(this.config.maximumFarmingInfos || 20, 100)
+      return {
+        name: dashboard.name || new URL(url).host,
+        url,
+        apiKey: dashboard.apiKey,
+        updateMode: UpdateMode[dashboard.updateMode] || UpdateMode.regular,
+        enableCompatibilityMode: dashboard.enableCompatibilityMode !== undefined
+          ? dashboard.enableCompatibilityMode
+          : url !== Config.defaultFoxyDashboardApiUrl,
+      };
+    });
   }
 
-  get updateMode() {
-    if (this.config.updateMode === undefined) {
-      return UpdateMode.regular
-    }
-
-    return UpdateMode[this.config.updateMode] || UpdateMode.regular
+  get responseTimeSampleSize() {
+    return this.settings.responseTimeSampleSize
   }
 
-  get enableCompatibilityMode() {
-    if (this.config.enableCompatibilityMode !== undefined) {
-      return this.config.enableCompatibilityMode
-    }
-
-    return this.chiaDashboardCoreUrl !== Config.defaultFoxyDashboardApiUrl
+  get maximumFarmingInfos() {
+    return Math.min(this.settings.maximumFarmingInfos, 100)
   }
 
   get configExists() {
     return existsSync(this.configFilePath);
   }
 
-  get summaryReportInterval() {
-    return this.config.summaryReportInterval;
+  get summaryReports() {
+    return this.settings.summaryReports;
   }
   
-  get notifyTimeoutInMins() {
-    return this.config.notifyTimeoutInMins || 3;
+  get summaryReportTemplates() {
+    return this.settings.summaryReportTemplates;
   }
 
-  get emailNotificationsEnabled() {
-    return this.config.emailNotificationsEnabled;
-  }
-
-  get emailService() {
-    return this.config.emailService;
-  }
-
-  get senderEmail() {
-    return this.config.senderEmail;
-  }
-
-  get senderPassword() {
-    return this.config.senderPassword;
-  }
-
-  get recipientEmail() {
-    return this.config.recipientEmail;
+  get notifyTimeoutInMins() {
+    return this.settings.notifyTimeoutInMins;
   }
 
-  get lineNotificationsEnabled() {
-    return this.config.lineNotificationsEnabled;
+  get notifiers() {
+    return this.settings.notifiers;
   }
 
-  get lineNotifyAccessToken() {
-    return this.config.lineNotifyAccessToken;
+  get notifications() {
+    return this.settings.notifications;
   }
 
   async load() {
     const yaml = await fs.readFile(this.configFilePath, 'utf8');
-    this.config = YAML.load(yaml);
+    const { config, hasChanged, fromVersion, warnings } = migrateConfig(YAML.load(yaml));
+    this.config = config;
+    this.warnings = warnings;
+    if (hasChanged) {
+      const backupFilePath = `${this.configFilePath}.v${fromVersion}.bak`;
+      try {
+        await fs.writeFile(backupFilePath, yaml, 'utf8');
+        await this.writeConfigFile();
+        this.warnings.push(`The config has been upgraded to the current layout, the previous one was saved to ${backupFilePath}`);
+      } catch (err) {
+        this.warnings.push(`The config could not be upgraded to the current layout: ${err.message}`);
+      }
+    }
+    this.applySchema();
+  }
+
+  // Keeps the current config when the changed one is invalid, returns the previous settings otherwise
+  async reload() {
+    const previous = { config: this.config, settings: this.settings, warnings: this.warnings };
+    try {
+      if (this.configExists) {
+        await this.load();
+      } else {
+        this.warnings = [];
+        this.applySchema();
+      }
+    } catch (err) {
+      Object.assign(this, previous);
+      throw err;
+    }
+
+    return previous.settings;
   }
 
   async save() {
+    this.config.configVersion = currentConfigVersion;
+    await this.writeConfigFile();
+    this.warnings = [];
+    this.applySchema();
+  }
+
+  async writeConfigFile() {
     const yaml = YAML.dump(this.config, {
       lineWidth: 140,
     });
     await fs.writeFile(this.configFilePath, yaml, 'utf8');
   }
 
+  // Environment overrides are only applied in memory so secrets never end up in the config file
+  applySchema() {
+    const config = mergeWith(cloneDeep(this.config), this.environmentOverrides || {}, (value, overrideValue) => {
+      if (Array.isArray(overrideValue) && overrideValue.some(item => item === null || typeof item !== 'object')) {
+        return overrideValue;
+      }
+    });
+    const { value, errors, warnings } = applyConfigSchema(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    this.settings = value;
+    this.warnings = (this.warnings || []).concat(this.environmentWarnings || [], warnings);
+  }
+
+  setConfigFilePath(configFilePath) {
+    this.customConfigFilePath = resolve(configFilePath);
+  }
+
   get configFilePath() {
-    return join(this.configDirectory, 'config.yaml')
+    if (this.customConfigFilePath) {
+      return this.customConfigFilePath;
+    }
+    const configFilePath = process.env[`${environmentVariablePrefix}CONFIG_FILE`];
+
+    return configFilePath ? resolve(configFilePath) : join(this.configDirectory, 'config.yaml')
   }
 
   get configDirectory() {
-    return join(homedir(), '.config', 'chia-dashboard-satellite');
+    const configDirectory = process.env[`${environmentVariablePrefix}CONFIG_DIRECTORY`];
+
+    return configDirectory ? resolve(configDirectory) : join(homedir(), '.config', 'chia-dashboard-satellite');
+  }
+
+  get statusServer() {
+    return this.settings.statusServer;
   }
 
   get alertConditions() {
-    return this.config.alertConditions || {
-      passedFilterTimeout: 60, // 1 minute
-      plotDropThresholdPercent: 10,
-      harvesterResponseTimeThreshold: 60000, // 1 minute in milliseconds
-    };
+    return this.settings.alertConditions;
+  }
+
+  get history() {
+    return this.settings.history;
   }
 }
 
@@ -0,0 +1,216 @@
+const axios = require('axios');
+const { promises: fs } = require('fs');
+const { throttle } = require('lodash');
+
+const logger = require('./logger');
+const version = require('../version');
+const { mergePartialStats } = require('../util');
+const { getUpdateInterval } = require('../update-mode');
+
+const initialRetryDelayInSeconds = 5;
+const maximumRetryDelayInSeconds = 10 * 60;
+// A hung request would otherwise block the queue of this target for good
+const requestTimeoutInSeconds = 60;
+
+class DashboardTarget {
+  constructor({ name, url, apiKey, updateMode, enableCompatibilityMode, pendingStatsFilePath, getFullStats }) {
+    this.name = name;
+    this.url = url;
+    this.apiKey = apiKey;
+    this.updateMode = updateMode;
+    this.enableCompatibilityMode = enableCompatibilityMode;
+    this.pendingStatsFilePath = pendingStatsFilePath;
+    this.getFullStats = getFullStats;
+    this.partialStats = {};
+    this.pendingStats = {};
+    this.failedAttempts = 0;
+    this.needsFullResync = false;
+    this.isSending = false;
+    this.retryTimeout = null;
+    this.isClosed = false;
+    this.persistPromise = Promise.resolve();
+    this.persistedPendingStats = null;
+  }
+
+  async init() {
+    this.client = axios.create({
+      baseURL: `${this.url}/api`,
+      timeout: requestTimeoutInSeconds * 1000,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'satellite-version': version,
+      },
+    });
+    this.createThrottle();
+    await this.loadPendingStats();
+  }
+
+  createThrottle() {
+    this.updateStatsThrottled = throttle(async () => {
+      const partialStats = this.partialStats;
+      this.partialStats = {};
+      await this.updateStats(partialStats);
+    }, getUpdateInterval(this.updateMode) * 1000, { leading: true, trailing: true });
+  }
+
+  setUpdateMode(updateMode) {
+    if (this.updateMode === updateMode) {
+      return;
+    }
+    // Send what the old throttle still holds back before switching to the new interval
+    this.updateStatsThrottled.flush();
+    this.updateMode = updateMode;
+    this.createThrottle();
+    this.log({ level: 'info', msg: `Update mode changed to ${updateMode}` });
+  }
+
+  setCompatibilityMode(enableCompatibilityMode) {
+    if (this.enableCompatibilityMode === enableCompatibilityMode) {
+      return;
+    }
+    this.enableCompatibilityMode = enableCompatibilityMode;
+    // The dashboard needs the full state in the new format
+    this.needsFullResync = true;
+    this.updateStatsThrottled();
+  }
+
+  setStats(service, stats, partialStats) {
+    if (this.enableCompatibilityMode) {
+      this.partialStats[service] = stats;
+    } else {
+      this.partialStats = mergePartialStats(this.partialStats, { [service]: partialStats });
+    }
+  }
+
+  deleteStats(service) {
+    this.partialStats[service] = null;
+  }
+
+  setSubNodeStats(label, service, stats, partialStats) {
+    const servicePartialStats = this.enableCompatibilityMode ? stats : partialStats;
+    this.partialStats = mergePartialStats(this.partialStats, { subNodes: { [label]: { [service]: servicePartialStats || {} } } });
+  }
+
+  deleteSubNodeStats(label, service) {
+    this.partialStats = mergePartialStats(this.partialStats, { subNodes: { [label]: { [service]: null } } });
+  }
+
+  async updateStats(stats) {
+    this.pendingStats = mergePartialStats(this.pendingStats, stats);
+    await this.persistPendingStats();
+    await this.flush();
+  }
+
+  async flush() {
+    if (this.isSending || this.retryTimeout !== null || !this.hasPendingUpdates) {
+      return;
+    }
+    this.isSending = true;
+    const stats = this.pendingStats;
+    const wasResync = this.needsFullResync;
+    const payload = wasResync ? mergePartialStats(stats, this.getFullStats()) : stats;
+    this.pendingStats = {};
+    try {
+      await this.client.patch('satellite', payload);
+      if (this.failedAttempts > 0) {
+        this.log({ level: 'info', msg: `Dashboard reachable again after ${this.failedAttempts} failed attempt(s)${wasResync ? ', resynced the full state' : ''}` });
+      }
+      this.failedAttempts = 0;
+      if (wasResync) {
+        this.needsFullResync = false;
+      }
+    } catch (err) {
+      if (err.response && err.response.status === 401) {
+        this.log({ level: 'error', msg: `The api key for this satellite is invalid. Please use a valid api key!` });
+      } else {
+        this.log({ level: 'error', msg: `${err}` });
+      }
+      // Keep everything that was not delivered, newer updates take precedence
+      this.pendingStats = mergePartialStats(stats, this.pendingStats);
+      this.failedAttempts += 1;
+      this.needsFullResync = true;
+      this.scheduleRetry();
+    } finally {
+      this.isSending = false;
+    }
+    await this.persistPendingStats();
+    if (this.failedAttempts === 0) {
+      // Updates might have been queued while sending
+      await this.flush();
+    }
+  }
+
+  scheduleRetry() {
+    if (this.isClosed) {
+      return;
+    }
+    const delayInSeconds = Math.min(
+      initialRetryDelayInSeconds * Math.pow(2, this.failedAttempts - 1),
+      maximumRetryDelayInSeconds
+    );
+    this.log({ level: 'info', msg: `Retrying in ${delayInSeconds} seconds` });
+    this.retryTimeout = setTimeout(async () => {
+      this.retryTimeout = null;
+      await this.flush();
+    }, delayInSeconds * 1000);
+  }
+
+  // Everything which is not delivered now is persisted and replayed on the next start
+  async close() {
+    this.isClosed = true;
+    this.updateStatsThrottled.cancel();
+    const isWaitingForRetry = this.retryTimeout !== null;
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+    this.pendingStats = mergePartialStats(this.pendingStats, this.partialStats);
+    this.partialStats = {};
+    await this.persistPendingStats();
+    if (!isWaitingForRetry) {
+      await this.flush();
+    }
+  }
+
+  get hasPendingUpdates() {
+    return Object.keys(this.pendingStats).length > 0 || this.needsFullResync;
+  }
+
+  async loadPendingStats() {
+    try {
+      const pendingStats = JSON.parse(await fs.readFile(this.pendingStatsFilePath, 'utf8'));
+      if (Object.keys(pendingStats).length > 0) {
+        this.pendingStats = mergePartialStats(pendingStats, this.pendingStats);
+        this.needsFullResync = true;
+        this.log({ level: 'info', msg: `Replaying updates which could not be delivered previously` });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.log({ level: 'error', msg: `Could not load pending updates: ${err}` });
+      }
+    }
+  }
+
+  async persistPendingStats() {
+    const pendingStats = JSON.stringify(this.pendingStats);
+    if (pendingStats === this.persistedPendingStats) {
+      return;
+    }
+    this.persistedPendingStats = pendingStats;
+    this.persistPromise = this.persistPromise.then(async () => {
+      try {
+        const tempFilePath = `${this.pendingStatsFilePath}.tmp`;
+        await fs.writeFile(tempFilePath, pendingStats, 'utf8');
+        await fs.rename(tempFilePath, this.pendingStatsFilePath);
+      } catch (err) {
+        this.persistedPendingStats = null;
+        this.log({ level: 'error', msg: `Could not persist pending updates: ${err}` });
+      }
+    });
+    await this.persistPromise;
+  }
+
+  log({ level, msg }) {
+    logger.log({ level, msg: `Dashboard Updater | ${this.name} | ${msg}` });
+  }
+}
+
+module.exports = DashboardTarget;
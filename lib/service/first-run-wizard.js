@@ -1,42 +1,64 @@
+const axios = require('axios');
 const prompts = require('prompts');
 const { validate } = require('uuid');
 
 const config = require('./config');
 const chiaConfigDetector = require('./chia-config-detector');
+const { environmentVariablePrefix } = require('../config-environment');
 
 class FirstRunWizard {
+  // Uses the config built from the environment variables as is, nothing is written to disk
+  async runNonInteractive() {
+    const { instances, chiaConfigDirectory, chiaDaemonAddress, apiKey, dashboards } = config.settings;
+    const hasInstances = Array.isArray(instances) && instances.length > 0;
+    if (!hasInstances && !apiKey && !(Array.isArray(dashboards) && dashboards.length > 0)) {
+      throw new Error(`No api key configured, please set ${environmentVariablePrefix}API_KEY or ${environmentVariablePrefix}API_KEY_FILE`);
+    }
+    if (!hasInstances && !chiaConfigDirectory && !chiaDaemonAddress) {
+      config.config.chiaConfigDirectory = chiaConfigDetector.defaultChiaConfigDirectory;
+      config.applySchema();
+    }
+  }
+
   async run() {
+    // Re-running the wizard keeps all settings it does not ask for
+    const existingConfig = config.configExists ? config.config : {};
     const { apiKey } = await prompts([{
       type: 'text',
       name: 'apiKey',
       message: `Please enter the api key for this satellite`,
+      initial: existingConfig.apiKey,
       validate: (input) => validate(input) ? true : 'Not a valid api key!',
     }]);
     if (!apiKey) {
       process.exit(0);
     }
+    const dashboardCoreUrlChoices = [
+      { title: 'https://chia-dashboard-api.foxypool.io', value: 'https://chia-dashboard-api.foxypool.io' },
+      { title: 'https://eu.chiadashboard.com', value: 'https://eu.chiadashboard.com' },
+      { title: 'https://us.chiadashboard.com', value: 'https://us.chiadashboard.com' },
+      { title: 'Enter an url manually', value: 'manual' },
+    ];
+    const existingDashboardCoreUrlIndex = dashboardCoreUrlChoices.findIndex(choice => choice.value === existingConfig.chiaDashboardCoreUrl);
     const { dashboardCoreUrl, dashboardCoreUrlManual } = await prompts([{
       type: 'select',
       name: 'dashboardCoreUrl',
       message: `Please select the dashboard url you want to use`,
-      choices: [
-        { title: 'https://chia-dashboard-api.foxypool.io', value: 'https://chia-dashboard-api.foxypool.io' },
-        { title: 'https://eu.chiadashboard.com', value: 'https://eu.chiadashboard.com' },
-        { title: 'https://us.chiadashboard.com', value: 'https://us.chiadashboard.com' },
-        { title: 'Enter an url manually', value: 'manual' },
-      ],
-      initial: 0,
+      choices: dashboardCoreUrlChoices,
+      initial: existingDashboardCoreUrlIndex !== -1
+        ? existingDashboardCoreUrlIndex
+        : (existingConfig.chiaDashboardCoreUrl ? dashboardCoreUrlChoices.length - 1 : 0),
     }, {
       type: prev => prev === 'manual' ? 'text' : null,
       name: 'dashboardCoreUrlManual',
       message: `Please enter the dashboard url you want to use`,
+      initial: existingConfig.chiaDashboardCoreUrl,
       validate: async (input) => {
-        const client = new ChiaDashboardClient({ dashboardCoreUrl: input, timeout: 10 * 1000 });
         try {
-          await client.ping();
+          await axios.get(input, { timeout: 10 * 1000 });
           return true;
         } catch (err) {
-          return 'Please enter a valid dashboard url';
+          return err.response ? true : 'Please enter a valid dashboard url';
         }
       },
     }]);
@@ -44,8 +66,8 @@ class FirstRunWizard {
     if (!chiaDashboardCoreUrl) {
       process.exit(0);
     }
-    let chiaConfigDirectory = chiaConfigDetector.defaultChiaConfigDirectory;
-    if (!chiaConfigDetector.defaultChiaConfigExists) {
+    let chiaConfigDirectory = existingConfig.chiaConfigDirectory || chiaConfigDetector.defaultChiaConfigDirectory;
+    if (!chiaConfigDetector.chiaConfigExistsForConfigDirectory(chiaConfigDirectory)) {
       const { chiaConfigDirectoryFromPrompt } = await prompts([{
         type: 'text',
         name: 'chiaConfigDirectoryFromPrompt',
@@ -60,6 +82,7 @@ class FirstRunWizard {
     }
 
     config.config = {
+      ...existingConfig,
       chiaConfigDirectory,
       chiaDashboardCoreUrl,
       apiKey,
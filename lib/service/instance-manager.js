@@ -0,0 +1,94 @@
+const config = require('./config');
+const logger = require('./logger');
+const notifiers = require('./notifiers');
+const notificationDispatcher = require('./notification-dispatcher');
+const ChiaDashboardUpdater = require('./chia-dashboard-updater');
+const { StatsCollection } = require('./stats-collection');
+
+const daemonConnectionKeys = ['chiaConfigDirectory', 'chiaDaemonAddress', 'daemonSslCertFile', 'daemonSslKeyFile'];
+
+class InstanceManager {
+  constructor() {
+    this.statsCollections = [];
+    this.sharedDashboardUpdater = null;
+    this.dashboardUpdaters = [];
+  }
+
+  async init() {
+    notifiers.init();
+    await notificationDispatcher.init();
+    const instances = config.instances;
+    const labels = instances.map(instance => instance.label);
+    const duplicateLabel = labels.find((label, index) => labels.indexOf(label) !== index);
+    if (duplicateLabel !== undefined) {
+      throw new Error(`Instance label '${duplicateLabel}' is used more than once`);
+    }
+    for (const instance of instances) {
+      let dashboardUpdater;
+      if (instance.dashboards) {
+        dashboardUpdater = new ChiaDashboardUpdater({ dashboards: instance.dashboards });
+        await dashboardUpdater.init();
+        this.dashboardUpdaters.push(dashboardUpdater);
+      } else {
+        if (!this.sharedDashboardUpdater) {
+          this.sharedDashboardUpdater = new ChiaDashboardUpdater({ dashboards: config.dashboards });
+          await this.sharedDashboardUpdater.init();
+          this.dashboardUpdaters.push(this.sharedDashboardUpdater);
+        }
+        dashboardUpdater = this.sharedDashboardUpdater.forSubNode(instance.label);
+      }
+      this.statsCollections.push(new StatsCollection({ instance, dashboardUpdater }));
+    }
+    // A single unreachable or misconfigured instance should not prevent the others from being monitored
+    await Promise.all(this.statsCollections.map(async statsCollection => {
+      try {
+        await statsCollection.init();
+      } catch (err) {
+        statsCollection.log({ level: 'error', msg: `Failed to initialize: ${err.message}` });
+      }
+    }));
+    if (this.statsCollections.length > 1) {
+      logger.log({ level: 'info', msg: `Instance Manager | Monitoring ${this.statsCollections.length} instances` });
+    }
+  }
+
+  // Applies a reloaded config to the running instances, returns the settings which only take effect after a restart
+  async applyConfig() {
+    const restartRequiredFor = new Set();
+    const instances = config.instances;
+    const hasSameInstances = instances.length === this.statsCollections.length
+      && instances.every((instance, index) => instance.label === this.statsCollections[index].label);
+    if (!hasSameInstances) {
+      restartRequiredFor.add('instances');
+    }
+    for (const statsCollection of this.statsCollections) {
+      const instance = instances.find(curr => curr.label === statsCollection.label);
+      if (!instance) {
+        continue;
+      }
+      const previousInstance = statsCollection.instance;
+      if (daemonConnectionKeys.some(key => instance[key] !== previousInstance[key])) {
+        restartRequiredFor.add('daemon connection');
+      }
+      if (!!instance.dashboards !== !!previousInstance.dashboards) {
+        restartRequiredFor.add('dashboards');
+      } else if (instance.dashboards && !statsCollection.dashboardUpdater.applyDashboards(instance.dashboards)) {
+        restartRequiredFor.add('dashboards');
+      }
+      await statsCollection.applyInstance(instance);
+    }
+    if (this.sharedDashboardUpdater && !this.sharedDashboardUpdater.applyDashboards(config.dashboards)) {
+      restartRequiredFor.add('dashboards');
+    }
+
+    return Array.from(restartRequiredFor);
+  }
+
+  // Stops collecting first so the dashboards receive the final state
+  async close() {
+    await Promise.all(this.statsCollections.map(statsCollection => statsCollection.close()));
+    await Promise.all(this.dashboardUpdaters.map(dashboardUpdater => dashboardUpdater.close()));
+  }
+}
+
+module.exports = new InstanceManager();
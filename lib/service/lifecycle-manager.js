@@ -0,0 +1,49 @@
+const configWatcher = require('./config-watcher');
+const instanceManager = require('./instance-manager');
+const logger = require('./logger');
+const notificationDispatcher = require('./notification-dispatcher');
+const statusServer = require('./status-server');
+
+// Undelivered updates are persisted first, so exiting early only delays them until the next start
+const shutdownTimeoutInSeconds = 15;
+
+class LifecycleManager {
+  constructor() {
+    this.isShuttingDown = false;
+  }
+
+  init() {
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => this.shutdown(signal)));
+  }
+
+  async shutdown(signal) {
+    if (this.isShuttingDown) {
+      this.log({ level: 'warn', msg: `Received ${signal} again, exiting immediately` });
+      process.exit(1);
+    }
+    this.isShuttingDown = true;
+    this.log({ level: 'info', msg: `Received ${signal}, shutting down ..` });
+    setTimeout(() => {
+      this.log({ level: 'warn', msg: `Shutting down took longer than ${shutdownTimeoutInSeconds} seconds, exiting` });
+      process.exit(1);
+    }, shutdownTimeoutInSeconds * 1000).unref();
+    let exitCode = 0;
+    try {
+      configWatcher.close();
+      await statusServer.close();
+      await instanceManager.close();
+      await notificationDispatcher.close();
+      this.log({ level: 'info', msg: `Shut down` });
+    } catch (err) {
+      this.log({ level: 'error', msg: `Shutting down failed: ${err.message}` });
+      exitCode = 1;
+    }
+    process.exit(exitCode);
+  }
+
+  log({ level, msg }) {
+    logger.log({ level, msg: `Lifecycle | ${msg}` });
+  }
+}
+
+module.exports = new LifecycleManager();
@@ -0,0 +1,208 @@
+const { createHash } = require('crypto');
+const { promises: fs } = require('fs');
+const { join } = require('path');
+const moment = require('moment');
+
+const config = require('./config');
+const logger = require('./logger');
+const notifiers = require('./notifiers');
+const { Severity } = require('../severity');
+const { EventType } = require('../event-type');
+const { toWallTime } = require('../schedule');
+
+const digestCheckIntervalInSeconds = 60;
+const severityOrder = [Severity.info, Severity.warning, Severity.critical];
+// Every occurrence of these is a distinct event, even when its text matches a previous one
+const distinctEventTypes = [EventType.proofFound, EventType.blockFarmed];
+
+// Sits between the producers of notifications and the notifiers to keep flapping states from flooding the channels
+class NotificationDispatcher {
+  constructor() {
+    this.sentNotifications = new Map();
+    this.sentAtByNotifier = new Map();
+    this.digests = {};
+    this.digestInterval = null;
+    this.persistPromise = Promise.resolve();
+  }
+
+  get pendingNotificationsFilePath() {
+    return join(config.configDirectory, 'pending-notifications.json');
+  }
+
+  async init() {
+    await this.loadDigests();
+    this.digestInterval = setInterval(async () => {
+      try {
+        await this.sendDueDigests();
+      } catch (err) {
+        this.log({ level: 'error', msg: `${err}` });
+      }
+    }, digestCheckIntervalInSeconds * 1000);
+  }
+
+  // Scheduled reports are always sent right away as their time was chosen explicitly
+  async send({ type, title, body, severity = Severity.info, markdown, html, notifierNames, isScheduledReport = false }) {
+    if (!isScheduledReport && !distinctEventTypes.includes(type) && this.isDuplicate({ title, body })) {
+      this.log({ level: 'info', msg: `Skipping '${title}' as it was already sent recently` });
+
+      return;
+    }
+    const isDeferred = !isScheduledReport && (this.isDigestSeverity(severity) || (this.isQuietTime() && severity !== Severity.critical));
+    const route = notifierNames ? null : this.getRoute({ type, severity });
+    const routedNotifierNames = notifierNames || (route && route.notifiers);
+    const recipients = route ? route.recipients : undefined;
+    const names = notifiers.names.filter(name => !routedNotifierNames || routedNotifierNames.includes(name));
+    const immediateNames = names.filter(name => !isDeferred && (isScheduledReport || !this.isRateLimited(name)));
+    const deferredNames = names.filter(name => !immediateNames.includes(name));
+    if (deferredNames.length > 0) {
+      await this.addToDigests({ names: deferredNames, notification: { type, title, body, severity, createdAt: new Date().toISOString() } });
+    }
+    if (immediateNames.length === 0) {
+      return;
+    }
+    immediateNames.forEach(name => this.recordSend(name));
+    await notifiers.send({ type, title, body, severity, markdown, html, recipients, notifierNames: immediateNames });
+  }
+
+  getRoute({ type, severity }) {
+    return config.notifications.routes.find(route =>
+      (!route.types || route.types.includes(type)) && (!route.severities || route.severities.includes(severity))
+    );
+  }
+
+  isDuplicate({ title, body }) {
+    const now = Date.now();
+    const windowInMs = config.notifications.deduplicationWindowInMinutes * 60 * 1000;
+    this.sentNotifications.forEach((sentAt, key) => {
+      if (now - sentAt >= windowInMs) {
+        this.sentNotifications.delete(key);
+      }
+    });
+    const key = createHash('sha256').update(`${title}\n${body}`).digest('hex');
+    if (this.sentNotifications.has(key)) {
+      return true;
+    }
+    if (windowInMs > 0) {
+      this.sentNotifications.set(key, now);
+    }
+
+    return false;
+  }
+
+  isDigestSeverity(severity) {
+    return config.notifications.digest.severities.includes(severity);
+  }
+
+  isQuietTime(date = new Date()) {
+    const quietHours = config.notifications.quietHours;
+    if (!quietHours) {
+      return false;
+    }
+    const time = moment.utc(toWallTime(date, quietHours.timezone)).format('HH:mm');
+    if (quietHours.start <= quietHours.end) {
+      return time >= quietHours.start && time < quietHours.end;
+    }
+
+    // Quiet hours spanning midnight
+    return time >= quietHours.start || time < quietHours.end;
+  }
+
+  isRateLimited(name) {
+    const maximumPerHour = config.notifications.maximumPerHourPerNotifier;
+    if (!maximumPerHour) {
+      return false;
+    }
+
+    return this.getSentAtOfLastHour(name).length >= maximumPerHour;
+  }
+
+  getSentAtOfLastHour(name) {
+    const hourAgo = moment().subtract(1, 'hour');
+    const sentAt = (this.sentAtByNotifier.get(name) || []).filter(date => moment(date).isAfter(hourAgo));
+    this.sentAtByNotifier.set(name, sentAt);
+
+    return sentAt;
+  }
+
+  recordSend(name) {
+    this.getSentAtOfLastHour(name).push(new Date());
+  }
+
+  async addToDigests({ names, notification }) {
+    names.forEach(name => {
+      this.digests[name] = (this.digests[name] || []).concat(notification);
+    });
+    await this.persistDigests();
+  }
+
+  async sendDueDigests() {
+    if (this.isQuietTime()) {
+      return;
+    }
+    const intervalInMinutes = config.notifications.digest.intervalInMinutes;
+    const dueNames = Object.keys(this.digests).filter(name => {
+      const [oldestNotification] = this.digests[name];
+
+      return moment().diff(oldestNotification.createdAt, 'minutes', true) >= intervalInMinutes;
+    });
+    if (dueNames.length === 0) {
+      return;
+    }
+    for (const name of dueNames) {
+      const notifications = this.digests[name];
+      delete this.digests[name];
+      if (!notifiers.names.includes(name)) {
+        this.log({ level: 'warn', msg: `Dropping ${notifications.length} notification(s) for the removed notifier ${name}` });
+        continue;
+      }
+      this.recordSend(name);
+      await notifiers.send({
+        type: EventType.digest,
+        title: `Digest: ${notifications.length} notification(s)`,
+        body: notifications
+          .map(notification => `${moment(notification.createdAt).format('YYYY-MM-DD HH:mm')} [${notification.severity}] ${notification.title}\n${notification.body}`)
+          .join('\n\n'),
+        severity: notifications
+          .map(notification => notification.severity)
+          .reduce((highest, severity) => severityOrder.indexOf(severity) > severityOrder.indexOf(highest) ? severity : highest, Severity.info),
+        notifierNames: [name],
+      });
+    }
+    await this.persistDigests();
+  }
+
+  async loadDigests() {
+    try {
+      this.digests = JSON.parse(await fs.readFile(this.pendingNotificationsFilePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.log({ level: 'error', msg: `Could not load pending notifications: ${err}` });
+      }
+    }
+  }
+
+  async persistDigests() {
+    const digests = JSON.stringify(this.digests);
+    this.persistPromise = this.persistPromise.then(async () => {
+      try {
+        await fs.writeFile(this.pendingNotificationsFilePath, digests, 'utf8');
+      } catch (err) {
+        this.log({ level: 'error', msg: `Could not persist pending notifications: ${err}` });
+      }
+    });
+    await this.persistPromise;
+  }
+
+  // Pending digests are kept for the next start
+  async close() {
+    clearInterval(this.digestInterval);
+    this.digestInterval = null;
+    await this.persistPromise;
+  }
+
+  log({ level, msg }) {
+    logger.log({ level, msg: `Notifications | ${msg}` });
+  }
+}
+
+module.exports = new NotificationDispatcher();
@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+const { Severity } = require('../../severity');
+
+const colorForSeverity = {
+  [Severity.info]: 0x3498db,
+  [Severity.warning]: 0xf1c40f,
+  [Severity.critical]: 0xe74c3c,
+};
+
+class DiscordNotifier {
+  constructor({ webhookUrl, username }) {
+    this.webhookUrl = webhookUrl;
+    this.username = username || 'Chia-Dashboard-Satellite';
+  }
+
+  async send({ title, body, severity, markdown }) {
+    await axios.post(this.webhookUrl, {
+      username: this.username,
+      embeds: [{
+        title,
+        // Discord rejects embed descriptions longer than 4096 characters
+        description: (markdown || body).slice(0, 4096),
+        color: colorForSeverity[severity],
+      }],
+    }, { timeout: 30 * 1000 });
+  }
+}
+
+module.exports = DiscordNotifier;
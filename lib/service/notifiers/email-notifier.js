@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+const { getTitleWithSeverity } = require('../../severity');
+
+class EmailNotifier {
+  constructor({ service, host, port, secure, senderEmail, senderPassword, recipientEmail }) {
+    this.senderEmail = senderEmail;
+    this.recipientEmail = recipientEmail;
+    this.transporter = nodemailer.createTransport({
+      service,
+      host,
+      port,
+      secure,
+      auth: {
+        user: senderEmail,
+        pass: senderPassword,
+      },
+    });
+  }
+
+  async send({ title, body, severity, html, recipients }) {
+    await this.transporter.sendMail({
+      from: this.senderEmail,
+      to: recipients && recipients.length > 0 ? recipients : this.recipientEmail,
+      subject: `${getTitleWithSeverity({ title, severity })} >> Chia-Dashboard-Satellite`,
+      text: body,
+      html,
+    });
+  }
+}
+
+module.exports = EmailNotifier;
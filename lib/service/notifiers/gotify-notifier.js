@@ -0,0 +1,31 @@
+const axios = require('axios');
+
+const { Severity } = require('../../severity');
+
+const priorityForSeverity = {
+  [Severity.info]: 4,
+  [Severity.warning]: 6,
+  [Severity.critical]: 8,
+};
+
+class GotifyNotifier {
+  constructor({ url, appToken }) {
+    this.client = axios.create({
+      baseURL: url,
+      timeout: 30 * 1000,
+      headers: {
+        'X-Gotify-Key': appToken,
+      },
+    });
+  }
+
+  async send({ title, body, severity }) {
+    await this.client.post('message', {
+      title,
+      message: body,
+      priority: priorityForSeverity[severity],
+    });
+  }
+}
+
+module.exports = GotifyNotifier;
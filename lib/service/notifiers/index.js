@@ -0,0 +1,68 @@
+const config = require('../config');
+const logger = require('../logger');
+const { Severity } = require('../../severity');
+const EmailNotifier = require('./email-notifier');
+const TelegramNotifier = require('./telegram-notifier');
+const DiscordNotifier = require('./discord-notifier');
+const SlackNotifier = require('./slack-notifier');
+const NtfyNotifier = require('./ntfy-notifier');
+const GotifyNotifier = require('./gotify-notifier');
+const WebhookNotifier = require('./webhook-notifier');
+
+const notifierTypes = {
+  email: EmailNotifier,
+  telegram: TelegramNotifier,
+  discord: DiscordNotifier,
+  slack: SlackNotifier,
+  ntfy: NtfyNotifier,
+  gotify: GotifyNotifier,
+  webhook: WebhookNotifier,
+};
+
+class Notifiers {
+  constructor() {
+    this.notifiers = [];
+  }
+
+  get types() {
+    return Object.keys(notifierTypes);
+  }
+
+  init() {
+    this.notifiers = config.notifiers
+      .filter(notifierConfig => notifierConfig.enabled !== false)
+      .map((notifierConfig, index) => {
+        const Notifier = notifierTypes[notifierConfig.type];
+        if (!Notifier) {
+          logger.log({ level: 'error', msg: `Notifiers | Unknown notifier type '${notifierConfig.type}', ignoring it` });
+
+          return null;
+        }
+
+        return {
+          name: notifierConfig.name || `${notifierConfig.type}-${index + 1}`,
+          notifier: new Notifier(notifierConfig),
+        };
+      })
+      .filter(notifier => notifier !== null);
+  }
+
+  get names() {
+    return this.notifiers.map(({ name }) => name);
+  }
+
+  // Notifiers which support rich formatting use the optional markdown or html body instead of the plain text one,
+  // all notifiers are used unless some are named
+  async send({ type, title, body, severity = Severity.info, markdown, html, recipients, notifierNames }) {
+    const notifiers = notifierNames ? this.notifiers.filter(({ name }) => notifierNames.includes(name)) : this.notifiers;
+    await Promise.all(notifiers.map(async ({ name, notifier }) => {
+      try {
+        await notifier.send({ type, title, body, severity, markdown, html, recipients });
+      } catch (err) {
+        logger.log({ level: 'error', msg: `Notifiers | Sending via ${name} failed: ${err.message}` });
+      }
+    }));
+  }
+}
+
+module.exports = new Notifiers();
@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+const { Severity } = require('../../severity');
+
+const priorityForSeverity = {
+  [Severity.info]: 3,
+  [Severity.warning]: 4,
+  [Severity.critical]: 5,
+};
+
+class NtfyNotifier {
+  constructor({ url, topic, accessToken }) {
+    this.client = axios.create({
+      baseURL: url || 'https://ntfy.sh',
+      timeout: 30 * 1000,
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+    });
+    this.topic = topic;
+  }
+
+  async send({ title, body, severity, markdown }) {
+    await this.client.post('/', {
+      topic: this.topic,
+      title,
+      message: markdown || body,
+      markdown: !!markdown,
+      priority: priorityForSeverity[severity],
+    });
+  }
+}
+
+module.exports = NtfyNotifier;
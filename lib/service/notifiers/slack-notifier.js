@@ -0,0 +1,17 @@
+const axios = require('axios');
+
+const { getTitleWithSeverity } = require('../../severity');
+
+class SlackNotifier {
+  constructor({ webhookUrl }) {
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send({ title, body, severity }) {
+    await axios.post(this.webhookUrl, {
+      text: `*${getTitleWithSeverity({ title, severity })}*\n${body}`,
+    }, { timeout: 30 * 1000 });
+  }
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,23 @@
+const axios = require('axios');
+
+const { getTitleWithSeverity } = require('../../severity');
+
+class TelegramNotifier {
+  constructor({ botToken, chatId }) {
+    this.chatId = chatId;
+    this.client = axios.create({
+      baseURL: `https://api.telegram.org/bot${botToken}`,
+      timeout: 30 * 1000,
+    });
+  }
+
+  async send({ title, body, severity }) {
+    await this.client.post('sendMessage', {
+      chat_id: this.chatId,
+      text: `${getTitleWithSeverity({ title, severity })}\n${body}`,
+      disable_web_page_preview: true,
+    });
+  }
+}
+
+module.exports = TelegramNotifier;
@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+class WebhookNotifier {
+  constructor({ url, method, headers }) {
+    this.url = url;
+    this.method = method || 'post';
+    this.headers = headers || {};
+  }
+
+  async send({ type, title, body, severity }) {
+    await axios.request({
+      url: this.url,
+      method: this.method,
+      headers: this.headers,
+      timeout: 30 * 1000,
+      data: {
+        type,
+        title,
+        body,
+        severity,
+        sentAt: new Date(),
+      },
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
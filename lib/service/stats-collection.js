@@ -1,18 +1,35 @@
 const { Connection, ApiClient, constants } = require('chia-api');
+const Message = require('chia-api/lib/message');
+const { promises: fs } = require('fs');
+const { join } = require('path');
 const BigNumber = require('bignumber.js');
-const { throttle, mergeWith, isArray} = require('lodash');
 const moment = require('moment');
-const nodemailer = require('nodemailer');
-const LINE = require('line-notify-nodejs');
+const { isEqual } = require('lodash');
 
 const config = require('./config');
 const logger = require('./logger');
-const chiaDashboardUpdater = require('./chia-dashboard-updater');
+const notificationDispatcher = require('./notification-dispatcher');
 const ChiaConfig = require('../chia-config');
 const Capacity = require('../capacity');
 const ChiaAmount = require('../chia-amount');
-const { updateStartedAtOfJob, getProgressOfJob, getEffectivePlotSizeInBytes } = require('../util');
-const {getUpdateInterval} = require('../update-mode')
+const { AlertEngine } = require('../alert-engine');
+const DiskResolver = require('../disk-resolver');
+const EarningsTracker = require('../earnings-tracker');
+const PlotHistory = require('../plot-history');
+const HistoryStore = require('../history-store');
+const UptimeTracker = require('../uptime-tracker');
+const { getFarmingEconomics } = require('../farming-economics');
+const { getRelevantPoolState } = require('../pool-state');
+const SignagePointMonitor = require('../signage-point-monitor');
+const HarvesterTracker = require('../harvester-tracker');
+const { getPlotInventory, getPlotsByCompressionLevel } = require('../plot-inventory');
+const { Severity } = require('../severity');
+const { EventType } = require('../event-type');
+const { parsePlotLog } = require('../plot-log-parsers');
+const { createSchedule } = require('../schedule');
+const { buildSummaryReport, serviceTitles } = require('../summary-report');
+const { renderText, renderMarkdown, renderHtml, renderTemplate } = require('../summary-report/renderers');
+const { updateStartedAtOfJob, getProgressOfJob, getEtaOfJobInSeconds, getEffectivePlotSizeInBytes } = require('../util');
 
 const fullNodeService = 'fullNode';
 const walletService = 'wallet';
@@ -32,68 +49,81 @@ const plotterStates = {
   FINISHED: 'FINISHED',
   SUBMITTED: 'SUBMITTED',
 };
+const connectionCheckIntervalInSeconds = 5;
+const initialReconnectDelayInSeconds = 1;
+const maximumReconnectDelayInSeconds = 60;
+// Longer timeouts overflow and fire immediately
+const maximumTimeoutInMs = 2147483647;
 
 class StatsCollection {
-  constructor() {
+  constructor({ instance, dashboardUpdater }) {
+    this.instance = instance;
+    this.dashboardUpdater = dashboardUpdater;
     this.isServiceRunning = new Map();
     this.stats = new Map();
-    this.partialStats = {};
     allServices.forEach(service => {
       this.stats.set(service, {});
       this.isServiceRunning.set(service, false);
     });
     this.enabledServices = allServices;
-    this.partialStats[plotterService] = null;
+    this.registeredServices = new Set();
+    this.intervals = [];
+    this.isReconnecting = false;
+    this.isClosed = false;
+    this.isReadOnly = false;
     this.previousStats = new Map();
     this.walletIsLoggedIn = false;
     this.farmingInfos = [];
+    this.scheduledSummaryReports = [];
+    this.summaryReportTimeouts = new Map();
+    this.summaryReportPromise = Promise.resolve();
+    this.proofsFoundSinceSummaryReport = new Map();
+    this.diskResolver = new DiskResolver();
+    this.signagePointMonitor = new SignagePointMonitor();
+    this.harvesterTracker = new HarvesterTracker({
+      getResponseTimeSampleSize: () => config.responseTimeSampleSize,
+      getForgetAfterInHours: () => config.alertConditions.harvesterForgetAfterInHours,
+    });
+    this.alertEngine = new AlertEngine({
+      sendNotification: this.sendNotification.bind(this),
+      getAlertConditions: () => config.alertConditions,
+      getNodeId: () => this.nodeId,
+    });
   }
 
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  get label() {
+    return this.instance.label;
+  }
+
+  get nodeId() {
+    return this.instance.nodeId;
+  }
+
+  log({ level, msg }) {
+    const labelPrefix = this.label ? `${this.label} | ` : '';
+    logger.log({ level, msg: `Stats Collection | ${labelPrefix}${msg}` });
+  }
+
+  getDataFilePath(name) {
+    return join(config.configDirectory, this.label ? `${name}-${this.label}.json` : `${name}.json`);
+  }
+
   async init() {
-    await config.init();
-    this.updateStatsThrottled = throttle(async partialStats => {
-      this.partialStats = {};
-      await chiaDashboardUpdater.updateStats(partialStats);
-    }, getUpdateInterval(config.updateMode) * 1000, { leading: true, trailing: true });
-    if (config.excludedServices && Array.isArray(config.excludedServices)) {
-      config.excludedServices
-        .filter(excludedService => allServices.some(service => service === excludedService))
-        .forEach(excludedService => {
-          this.enabledServices = this.enabledServices.filter(service => service !== excludedService);
-          this.deleteStatsForService(excludedService);
-        });
-    }
-    const chiaConfig = new ChiaConfig(config.chiaConfigDirectory);
-    await chiaConfig.load();
-    this.origin = 'chia-dashboard-satellite';
-    const daemonAddress = config.chiaDaemonAddress || chiaConfig.daemonAddress;
-    const daemonSslCertFile = await chiaConfig.getDaemonSslCertFile();
-    const daemonSslKeyFile = await chiaConfig.getDaemonSslKeyFile();
-    this.connection = new Connection(daemonAddress, {
-      cert: daemonSslCertFile,
-      key: daemonSslKeyFile,
-      timeoutInSeconds: 120,
-    });
-    this.connection.addService(constants.SERVICE().walletUi);
-    this.connection.addService(`${this.connection.coin} plots create`); // Add the legacy plotter service to receive its events as well
-    this.connection.onError(err => logger.log({level: 'error', msg: `Stats Collection | ${err}`}));
-    this.walletApiClient = new ApiClient.Wallet({ connection: this.connection, origin: this.origin });
-    this.fullNodeApiClient = new ApiClient.FullNode({ connection: this.connection, origin: this.origin });
-    this.farmerApiClient = new ApiClient.Farmer({ connection: this.connection, origin: this.origin });
-    this.harvesterApiClient = new ApiClient.Harvester({ connection: this.connection, origin: this.origin });
-    this.daemonApiClient = new ApiClient.Daemon({ connection: this.connection, origin: this.origin });
-    this.plotterApiClient = new ApiClient.Plotter({ connection: this.connection, origin: this.origin });
-    this.lineNotifyClient = LINE(config.lineNotifyAccessToken);
+    await this.initTrackers();
+    this.dashboardUpdater.deleteStats(plotterService);
+    this.dashboardUpdater.setFullStatsProvider(() => this.getFullStats());
+    this.applyExcludedServices();
+    await this.createConnection();
 
     let wasWaitingForDaemon = false;
     try {
       await this.connection.connect();
     } catch (err) {
-      logger.log({level:'info', msg: `Stats Collection | Waiting for daemon to be reachable ..`});
+      this.log({level:'info', msg: `Waiting for daemon to be reachable ..`});
       wasWaitingForDaemon = true;
     }
     while (!this.connection.connected) {
@@ -103,232 +133,542 @@ class StatsCollection {
       // Wait a little extra till the services are started up
       await new Promise(resolve => setTimeout(resolve, 5 * 1000));
     }
-    if (this.isServiceEnabled(fullNodeService)) {
-      this.fullNodeApiClient.onNewBlockchainState(async (blockchainState) => {
-        const fullNodeStats = this.stats.has(fullNodeService) ? this.stats.get(fullNodeService) : {};
-        const newBlockchainState = this.getRelevantBlockchainState(blockchainState)
-        let partialFullNodeStats = undefined
-        if (fullNodeStats.blockchainState !== undefined) {
-          const blockchainPartialStats = this.getBlockchainStatePartialStats(fullNodeStats.blockchainState, newBlockchainState)
-          if (blockchainPartialStats !== undefined) {
-            partialFullNodeStats = { blockchainState: blockchainPartialStats }
-          }
-        } else {
-          partialFullNodeStats = { blockchainState: newBlockchainState }
-        }
-        fullNodeStats.blockchainState = newBlockchainState
-        await this.setStatsForService(fullNodeService, fullNodeStats, partialFullNodeStats)
-      });
-      this.fullNodeApiClient.onConnectionChange(async connections => {
-        const fullNodeStats = this.stats.has(fullNodeService) ? this.stats.get(fullNodeService) : {};
-        const fullNodeConnections = connections.filter(conn => conn.type === constants.SERVICE_TYPE.fullNode);
-        let partialFullNodeStats = undefined
-        if (fullNodeStats.fullNodeConnectionsCount !== fullNodeConnections.length) {
-          partialFullNodeStats = { fullNodeConnectionsCount: fullNodeConnections.length }
-        }
-        fullNodeStats.fullNodeConnectionsCount = fullNodeConnections.length;
-        await this.setStatsForService(fullNodeService, fullNodeStats, partialFullNodeStats)
-      });
+    for (const service of this.enabledServices) {
+      await this.registerService(service);
     }
-    if (this.isServiceEnabled(farmerService)) {
-      this.farmerApiClient.onNewSignagePoint(async (newSignagePoint) => {
-        const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
-        const relevantSignagePointData = this.getRelevantSignagePointData(newSignagePoint);
-        let matchingFarmingInfo = this.farmingInfos.find(farmingInfo =>
-          farmingInfo.challenge === relevantSignagePointData.challenge && farmingInfo.signagePoint === relevantSignagePointData.signagePoint
-        );
-        let isNewlyCreated = false;
-        if (!matchingFarmingInfo) {
-          isNewlyCreated = true;
-          matchingFarmingInfo = {
-            challenge: relevantSignagePointData.challenge,
-            signagePoint: relevantSignagePointData.signagePoint,
-          };
-        }
-        // When a chain re-org happens treat it as a new SP because harvesters need to re-scan the plots as well
-        matchingFarmingInfo.receivedAt = relevantSignagePointData.receivedAt;
-        matchingFarmingInfo.proofs = 0;
-        matchingFarmingInfo.passedFilter = 0;
-        matchingFarmingInfo.totalPlots = 0;
-        matchingFarmingInfo.lastUpdated = new Date();
-
-        if (isNewlyCreated) {
-          this.farmingInfos.unshift(matchingFarmingInfo);
-        }
-        this.sortFarmingInfos(this.farmingInfos);
+    this.watchConnection();
+    this.log({ level: 'info', msg: `Starting...`});
+    await this.delay(config.initialWaitTimeInMinutes * 60 * 1000);
+    await this.tryUntilSucceeded(this.updateRunningServices.bind(this));
+    await this.tryUntilSucceeded(this.updateStats.bind(this));
+    await this.tryUntilSucceeded(this.updateFullNodeStats.bind(this));
+    await this.updatePoolStats();
+    await this.updateHarvesterListing();
+    this.startInterval(this.updateStats.bind(this), 20 * 1000);
+    this.startInterval(this.updatePoolStats.bind(this), 5 * 60 * 1000);
+    this.startInterval(this.updateHarvesterListing.bind(this), 2 * 60 * 1000);
+    this.startInterval(this.updateRunningServices.bind(this), 60 * 1000);
+    await this.scheduleSummaryReports();
+    this.log({ level: 'info', msg: `Started.`});
+    
+  }
 
-        farmerStats.farmingInfos = this.getFarmingInfosForApi();
+  // Updates are skipped while the daemon is unreachable, the reconnect triggers them once it is back
+  startInterval(method, intervalInMs) {
+    if (this.isClosed) {
+      return;
+    }
+    this.intervals.push(setInterval(async () => {
+      if (!this.isConnected) {
+        return;
+      }
+      try {
+        await method();
+      } catch (err) {
+        this.log({ level: 'error', msg: `${err}`});
+      }
+    }, intervalInMs));
+  }
 
-        this.setStatsForServiceWithoutUpdate(farmerService, farmerStats, { farmingInfos: farmerStats.farmingInfos })
-      });
+  get isConnected() {
+    return !!this.connection && this.connection.connected && !this.isReconnecting;
+  }
 
-      let harvesterResponseTimes = [];
-      this.farmerApiClient.onNewFarmingInfo(async (newFarmingInfo) => {
-        if (!newFarmingInfo) {
-          return;
-        }
-        const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
-        const relevantFarmingInfo = this.getRelevantFarmingInfoData(newFarmingInfo);
-        let matchingFarmingInfo = this.farmingInfos.find(farmingInfo =>
-          farmingInfo.challenge === relevantFarmingInfo.challenge && farmingInfo.signagePoint === relevantFarmingInfo.signagePoint
-        );
-        let isNewlyCreated = false;
-        if (!matchingFarmingInfo) {
-          isNewlyCreated = true;
-          matchingFarmingInfo = {
-            challenge: relevantFarmingInfo.challenge,
-            signagePoint: relevantFarmingInfo.signagePoint,
-            receivedAt: new Date(),
-            proofs: 0,
-            passedFilter: 0,
-            totalPlots: 0,
-            lastUpdated: new Date(),
-          };
-          this.farmingInfos.unshift(matchingFarmingInfo);
-        }
-        matchingFarmingInfo.proofs += relevantFarmingInfo.proofs;
-        matchingFarmingInfo.passedFilter += relevantFarmingInfo.passedFilter;
-        matchingFarmingInfo.totalPlots += relevantFarmingInfo.totalPlots;
-        matchingFarmingInfo.lastUpdated = new Date();
+  watchConnection() {
+    if (this.isClosed) {
+      return;
+    }
+    this.intervals.push(setInterval(async () => {
+      if (this.isReconnecting || this.isClosed || this.connection.connected) {
+        return;
+      }
+      await this.reconnect();
+    }, connectionCheckIntervalInSeconds * 1000));
+  }
+
+  // chia-api reconnects on its own and registers the services again, the event handlers stay attached to the connection
+  async reconnect() {
+    this.isReconnecting = true;
+    this.log({ level: 'warn', msg: `Lost the connection to the daemon, waiting for it to come back ..` });
+    await this.setAllServicesOffline();
+    let attempts = 0;
+    while (!this.isClosed) {
+      attempts += 1;
+      const delayInSeconds = Math.min(
+        initialReconnectDelayInSeconds * Math.pow(2, attempts - 1),
+        maximumReconnectDelayInSeconds
+      );
+      await this.delay(delayInSeconds * 1000);
+      if (this.isClosed) {
+        break;
+      }
+      if (!this.connection.connected) {
+        continue;
+      }
+      try {
+        this.walletIsLoggedIn = false;
+        await this.updateRunningServices();
+        this.log({ level: 'info', msg: `Reconnected to the daemon after ${attempts} attempt(s)` });
+        break;
+      } catch (err) {
+        this.log({ level: 'info', msg: `Updating the running services after reconnecting failed: ${err.message}` });
+      }
+    }
+    this.isReconnecting = false;
+    if (this.isClosed) {
+      return;
+    }
+    try {
+      await this.updateStats();
+      await this.updateFullNodeStats();
+      await this.updatePoolStats();
+      await this.updateHarvesterListing();
+    } catch (err) {
+      this.log({ level: 'error', msg: `${err}`});
+    }
+  }
 
-        this.farmingInfos = this.farmingInfos.slice(0, config.maximumFarmingInfos)
-        this.sortFarmingInfos(this.farmingInfos);
+  async setAllServicesOffline() {
+    const runningStates = {};
+    this.enabledServices.forEach(service => {
+      this.isServiceRunning.set(service, false);
+      this.deleteStatsForService(service);
+      if (service !== plotterService) {
+        runningStates[service] = false;
+      }
+    });
+    try {
+      await this.updateUptime({ runningStates, reason: 'the daemon is not reachable' });
+    } catch (err) {
+      this.log({ level: 'error', msg: `${err}`});
+    }
+  }
 
-        if (!isNewlyCreated) {
-          harvesterResponseTimes.unshift(moment().diff(matchingFarmingInfo.receivedAt, 'milliseconds'));
-        }
-        harvesterResponseTimes = harvesterResponseTimes.slice(0, config.responseTimeSampleSize)
-        if (harvesterResponseTimes.length > 0) {
-          farmerStats.averageHarvesterResponseTime = harvesterResponseTimes
-            .reduce((acc, curr) => acc.plus(curr), new BigNumber(0))
-            .dividedBy(harvesterResponseTimes.length)
-            .toNumber();
-          farmerStats.worstHarvesterResponseTime = harvesterResponseTimes
-            .reduce((acc, curr) => acc.isGreaterThan(curr) ? acc : new BigNumber(curr), new BigNumber(0))
-            .toNumber();
-        } else {
-          farmerStats.averageHarvesterResponseTime = null;
-          farmerStats.worstHarvesterResponseTime = null;
+  // Subscribes to the events of a service, services which get enabled through a config reload are registered then
+  async registerService(service) {
+    if (this.registeredServices.has(service)) {
+      return;
+    }
+    this.registeredServices.add(service);
+    switch (service) {
+      case walletService:
+        await this.walletApiClient.init();
+        break;
+      case fullNodeService:
+        this.registerFullNodeEventHandlers();
+        await this.fullNodeApiClient.init();
+        break;
+      case farmerService:
+        this.registerFarmerEventHandlers();
+        await this.farmerApiClient.init();
+        break;
+      case harvesterService:
+        await this.harvesterApiClient.init();
+        break;
+      case plotterService:
+        this.registerPlotterEventHandlers();
+        await this.plotterApiClient.init();
+        break;
+    }
+  }
+
+  registerFullNodeEventHandlers() {
+    this.fullNodeApiClient.onNewBlockchainState(async (blockchainState) => {
+      const fullNodeStats = this.stats.has(fullNodeService) ? this.stats.get(fullNodeService) : {};
+      const newBlockchainState = this.getRelevantBlockchainState(blockchainState)
+      let partialFullNodeStats = undefined
+      if (fullNodeStats.blockchainState !== undefined) {
+        const blockchainPartialStats = this.getBlockchainStatePartialStats(fullNodeStats.blockchainState, newBlockchainState)
+        if (blockchainPartialStats !== undefined) {
+          partialFullNodeStats = { blockchainState: blockchainPartialStats }
         }
-        farmerStats.farmingInfos = this.getFarmingInfosForApi();
+      } else {
+        partialFullNodeStats = { blockchainState: newBlockchainState }
+      }
+      fullNodeStats.blockchainState = newBlockchainState
+      await this.setStatsForService(fullNodeService, fullNodeStats, partialFullNodeStats)
+    });
+    this.fullNodeApiClient.onConnectionChange(async connections => {
+      const fullNodeStats = this.stats.has(fullNodeService) ? this.stats.get(fullNodeService) : {};
+      const fullNodeConnections = connections.filter(conn => conn.type === constants.SERVICE_TYPE.fullNode);
+      let partialFullNodeStats = undefined
+      if (fullNodeStats.fullNodeConnectionsCount !== fullNodeConnections.length) {
+        partialFullNodeStats = { fullNodeConnectionsCount: fullNodeConnections.length }
+      }
+      fullNodeStats.fullNodeConnectionsCount = fullNodeConnections.length;
+      await this.setStatsForService(fullNodeService, fullNodeStats, partialFullNodeStats)
+    });
+  }
+
+  registerFarmerEventHandlers() {
+    this.farmerApiClient.onNewSignagePoint(async (newSignagePoint) => {
+      const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
+      const relevantSignagePointData = this.getRelevantSignagePointData(newSignagePoint);
+      let matchingFarmingInfo = this.farmingInfos.find(farmingInfo =>
+        farmingInfo.challenge === relevantSignagePointData.challenge && farmingInfo.signagePoint === relevantSignagePointData.signagePoint
+      );
+      let isNewlyCreated = false;
+      if (!matchingFarmingInfo) {
+        isNewlyCreated = true;
+        matchingFarmingInfo = {
+          challenge: relevantSignagePointData.challenge,
+          signagePoint: relevantSignagePointData.signagePoint,
+        };
+      }
+      // When a chain re-org happens treat it as a new SP because harvesters need to re-scan the plots as well
+      matchingFarmingInfo.receivedAt = relevantSignagePointData.receivedAt;
+      matchingFarmingInfo.proofs = 0;
+      matchingFarmingInfo.passedFilter = 0;
+      matchingFarmingInfo.totalPlots = 0;
+      matchingFarmingInfo.lastUpdated = new Date();
+
+      if (isNewlyCreated) {
+        this.farmingInfos.unshift(matchingFarmingInfo);
+        this.signagePointMonitor.recordSignagePoint(relevantSignagePointData);
+      }
+      this.sortFarmingInfos(this.farmingInfos);
+
+      farmerStats.farmingInfos = this.getFarmingInfosForApi();
+
+      this.setStatsForServiceWithoutUpdate(farmerService, farmerStats, { farmingInfos: farmerStats.farmingInfos })
+    });
+
+    let harvesterResponseTimes = [];
+    this.farmerApiClient.onNewFarmingInfo(async (newFarmingInfo) => {
+      if (!newFarmingInfo) {
+        return;
+      }
+      const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
+      const relevantFarmingInfo = this.getRelevantFarmingInfoData(newFarmingInfo);
+      let matchingFarmingInfo = this.farmingInfos.find(farmingInfo =>
+        farmingInfo.challenge === relevantFarmingInfo.challenge && farmingInfo.signagePoint === relevantFarmingInfo.signagePoint
+      );
+      let isNewlyCreated = false;
+      if (!matchingFarmingInfo) {
+        isNewlyCreated = true;
+        matchingFarmingInfo = {
+          challenge: relevantFarmingInfo.challenge,
+          signagePoint: relevantFarmingInfo.signagePoint,
+          receivedAt: new Date(),
+          proofs: 0,
+          passedFilter: 0,
+          totalPlots: 0,
+          lastUpdated: new Date(),
+        };
+        this.farmingInfos.unshift(matchingFarmingInfo);
+      }
+      matchingFarmingInfo.proofs += relevantFarmingInfo.proofs;
+      matchingFarmingInfo.passedFilter += relevantFarmingInfo.passedFilter;
+      matchingFarmingInfo.totalPlots += relevantFarmingInfo.totalPlots;
+      matchingFarmingInfo.lastUpdated = new Date();
+
+      this.farmingInfos = this.farmingInfos.slice(0, config.maximumFarmingInfos)
+      this.sortFarmingInfos(this.farmingInfos);
 
-        await this.setStatsForService(farmerService, farmerStats, farmerStats);
+      const responseTime = isNewlyCreated ? undefined : moment().diff(matchingFarmingInfo.receivedAt, 'milliseconds');
+      if (responseTime !== undefined) {
+        harvesterResponseTimes.unshift(responseTime);
+      }
+      this.signagePointMonitor.recordFarmingInfo({
+        responseTime,
+        lookupTime: relevantFarmingInfo.lookupTime,
+        nodeId: relevantFarmingInfo.nodeId,
       });
-    }
-    if (this.isServiceEnabled(plotterService)) {
-      const jobLogs = new Map();
-      this.plotterApiClient.onNewPlottingQueueStats(async queue => {
-        if (!queue) {
+      this.alertEngine.recordFarmingInfo({ passedFilter: relevantFarmingInfo.passedFilter });
+      this.harvesterTracker.recordFarmingInfo({
+        nodeId: relevantFarmingInfo.nodeId,
+        responseTime,
+        passedFilter: relevantFarmingInfo.passedFilter,
+        totalPlots: relevantFarmingInfo.totalPlots,
+      });
+      harvesterResponseTimes = harvesterResponseTimes.slice(0, config.responseTimeSampleSize)
+      if (harvesterResponseTimes.length > 0) {
+        farmerStats.averageHarvesterResponseTime = harvesterResponseTimes
+          .reduce((acc, curr) => acc.plus(curr), new BigNumber(0))
+          .dividedBy(harvesterResponseTimes.length)
+          .toNumber();
+        farmerStats.worstHarvesterResponseTime = harvesterResponseTimes
+          .reduce((acc, curr) => acc.isGreaterThan(curr) ? acc : new BigNumber(curr), new BigNumber(0))
+          .toNumber();
+      } else {
+        farmerStats.averageHarvesterResponseTime = null;
+        farmerStats.worstHarvesterResponseTime = null;
+      }
+      farmerStats.farmingInfos = this.getFarmingInfosForApi();
+
+      await this.setStatsForService(farmerService, farmerStats, farmerStats);
+    });
+  }
+
+  registerPlotterEventHandlers() {
+    const jobLogs = new Map();
+    this.plotterApiClient.onNewPlottingQueueStats(async queue => {
+      if (!queue) {
+        return;
+      }
+      const plotterStats = this.stats.has(plotterService) ? this.stats.get(plotterService) : {};
+      if (!plotterStats.jobs) {
+        plotterStats.jobs = [];
+      }
+      let updated = false;
+      let jobsArrayNeedsSort = false;
+      const completedJobs = [];
+      queue.forEach(job => {
+        if (job.log) {
+          jobLogs.set(job.id, job.log);
+        } else if (job.log_new) {
+          const existingLog = jobLogs.get(job.id) || '';
+          jobLogs.set(job.id, `${existingLog}${job.log_new}`);
+        }
+        const parsedLog = parsePlotLog({ plotter: job.plotter, log: jobLogs.get(job.id) });
+        if (job.deleted || job.state === plotterStates.FINISHED) {
+          const finishedJob = plotterStats.jobs.find(curr => curr.id === job.id);
+          if (finishedJob && !job.deleted && !job.error) {
+            completedJobs.push({ job: finishedJob, parsedLog });
+          }
+          plotterStats.jobs = plotterStats.jobs.filter(curr => curr.id !== job.id);
+          jobLogs.delete(job.id);
+          updated = true;
+
           return;
         }
-        const plotterStats = this.stats.has(plotterService) ? this.stats.get(plotterService) : {};
-        if (!plotterStats.jobs) {
-          plotterStats.jobs = [];
+        let existingJob = plotterStats.jobs.find(curr => curr.id === job.id);
+        if (!existingJob) {
+          existingJob = { id: job.id };
+          plotterStats.jobs.push(existingJob);
+          jobsArrayNeedsSort = true;
+          updated = true;
         }
-        let updated = false;
-        let jobsArrayNeedsSort = false;
-        queue.forEach(job => {
-          if (job.deleted || job.state === plotterStates.FINISHED) {
-            plotterStats.jobs = plotterStats.jobs.filter(curr => curr.id !== job.id);
-            jobLogs.delete(job.id);
-            updated = true;
-
-            return;
-          }
-          let existingJob = plotterStats.jobs.find(curr => curr.id === job.id);
-          if (!existingJob) {
-            existingJob = { id: job.id };
-            plotterStats.jobs.push(existingJob);
-            jobsArrayNeedsSort = true;
-            updated = true;
-          }
-          if (existingJob.state !== job.state) {
-            updateStartedAtOfJob({ existingJob, job });
-            existingJob.state = job.state;
+        if (existingJob.state !== job.state) {
+          updateStartedAtOfJob({ existingJob, job });
+          existingJob.state = job.state;
+          updated = true;
+          jobsArrayNeedsSort = true;
+        }
+        if (existingJob.kSize !== job.size) {
+          existingJob.kSize = job.size;
+          updated = true;
+        }
+        const progress = getProgressOfJob({ job, parsedLog });
+        if (existingJob.progress !== progress) {
+          existingJob.progress = progress;
+          existingJob.etaInSeconds = getEtaOfJobInSeconds({ startedAt: existingJob.startedAt, progress });
+          updated = true;
+        }
+        const jobDetails = {
+          plotter: parsedLog ? parsedLog.plotter : (job.plotter || null),
+          phase: parsedLog ? parsedLog.phase : null,
+          phaseTimes: parsedLog ? parsedLog.phaseTimes : {},
+          tempDirs: parsedLog ? parsedLog.tempDirs : [],
+          finalDir: parsedLog ? parsedLog.finalDir : null,
+        };
+        Object.keys(jobDetails).forEach(key => {
+          if (!isEqual(existingJob[key], jobDetails[key])) {
+            existingJob[key] = jobDetails[key];
             updated = true;
-            jobsArrayNeedsSort = true;
           }
-          if (existingJob.kSize !== job.size) {
-            existingJob.kSize = job.size;
-            updated = true;
+        });
+      });
+      for (const { job, parsedLog } of completedJobs) {
+        await this.plotHistory.addCompletedPlot({
+          id: job.id,
+          plotter: job.plotter,
+          kSize: job.kSize,
+          startedAt: job.startedAt,
+          durationInSeconds: parsedLog && parsedLog.totalTimeInSeconds !== null
+            ? parsedLog.totalTimeInSeconds
+            : (job.startedAt ? moment().diff(job.startedAt, 'seconds') : null),
+          finalDir: job.finalDir,
+        });
+      }
+      if (completedJobs.length > 0 || !plotterStats.completedPlots) {
+        plotterStats.completedPlots = this.plotHistory.getStats();
+        updated = true;
+      }
+      if (jobsArrayNeedsSort) {
+        plotterStats.jobs.sort((a, b) => {
+          if (a.state === plotterStates.RUNNING && b.state !== plotterStates.RUNNING) {
+            return -1;
           }
-          if (job.log) {
-            jobLogs.set(job.id, job.log);
-          } else if (job.log_new) {
-            const existingLog = jobLogs.get(job.id) || '';
-            jobLogs.set(job.id, `${existingLog}${job.log_new}`);
+          if (a.state !== plotterStates.RUNNING && b.state === plotterStates.RUNNING) {
+            return 1;
           }
-          const progress = getProgressOfJob({ job, log: jobLogs.get(job.id) });
-          if (existingJob.progress !== progress) {
-            existingJob.progress = progress;
-            updated = true;
+          if (a.state === plotterStates.RUNNING && b.state === plotterStates.RUNNING) {
+            return a.progress > b.progress ? -1 : 1;
           }
+
+          return 0;
         });
-        if (jobsArrayNeedsSort) {
-          plotterStats.jobs.sort((a, b) => {
-            if (a.state === plotterStates.RUNNING && b.state !== plotterStates.RUNNING) {
-              return -1;
-            }
-            if (a.state !== plotterStates.RUNNING && b.state === plotterStates.RUNNING) {
-              return 1;
-            }
-            if (a.state === plotterStates.RUNNING && b.state === plotterStates.RUNNING) {
-              return a.progress > b.progress ? -1 : 1;
-            }
-
-            return 0;
-          });
-        }
-        if (updated) {
-          await this.setStatsForService(plotterService, plotterStats, plotterStats);
-        }
+      }
+      if (updated) {
+        await this.setStatsForService(plotterService, plotterStats, plotterStats);
+      }
+    });
+  }
+
+  async initTrackers() {
+    this.earningsTracker = new EarningsTracker({ snapshotsFilePath: this.getDataFilePath('earnings-snapshots'), isReadOnly: this.isReadOnly });
+    await this.earningsTracker.init();
+    this.plotHistory = new PlotHistory({ historyFilePath: this.getDataFilePath('plot-history'), isReadOnly: this.isReadOnly });
+    await this.plotHistory.init();
+    this.uptimeTracker = new UptimeTracker({ stateFilePath: this.getDataFilePath('uptime') });
+    await this.uptimeTracker.init();
+    const { enabled: isHistoryEnabled, retentionInDays } = config.history;
+    if (isHistoryEnabled && !this.isReadOnly) {
+      this.historyStore = new HistoryStore({
+        directory: join(config.configDirectory, this.label ? `history-${this.label}` : 'history'),
+        retentionInDays,
       });
+      await this.historyStore.init();
     }
+  }
 
-    if (this.isServiceEnabled(walletService)) {
-      await this.walletApiClient.init();
+  applyExcludedServices() {
+    const enabledServices = allServices.filter(service => !this.instance.excludedServices.includes(service));
+    const disabledServices = this.enabledServices.filter(service => !enabledServices.includes(service));
+    const newlyEnabledServices = enabledServices.filter(service => !this.enabledServices.includes(service));
+    this.enabledServices = enabledServices;
+    disabledServices.forEach(service => {
+      this.isServiceRunning.set(service, false);
+      this.deleteStatsForService(service);
+    });
+
+    return { disabledServices, newlyEnabledServices };
+  }
+
+  // Applies a reloaded config, only settings which do not require a new daemon connection are applied
+  async applyInstance(instance) {
+    this.instance = instance;
+    const { disabledServices, newlyEnabledServices } = this.applyExcludedServices();
+    const isConnected = this.isConnected;
+    if (isConnected) {
+      for (const service of newlyEnabledServices) {
+        await this.registerService(service);
+      }
     }
-    if (this.isServiceEnabled(fullNodeService)) {
-      await this.fullNodeApiClient.init();
+    if (disabledServices.length > 0) {
+      this.log({ level: 'info', msg: `Disabled ${disabledServices.join(', ')}` });
     }
-    if (this.isServiceEnabled(farmerService)) {
-      await this.farmerApiClient.init();
+    if (newlyEnabledServices.length > 0) {
+      this.log({ level: 'info', msg: `Enabled ${newlyEnabledServices.join(', ')}` });
+      if (isConnected) {
+        await this.updateRunningServices();
+      }
     }
-    if (this.isServiceEnabled(harvesterService)) {
-      await this.harvesterApiClient.init();
+    if (this.historyStore) {
+      this.historyStore.retentionInDays = config.history.retentionInDays;
     }
-    if (this.isServiceEnabled(plotterService)) {
-      await this.plotterApiClient.init();
+    await this.scheduleSummaryReports();
+  }
+
+  // Re-schedules all summary reports when their settings changed
+  async scheduleSummaryReports() {
+    if (this.isClosed || isEqual(this.scheduledSummaryReports, config.summaryReports)) {
+      return;
     }
-    logger.log({ level: 'info', msg: `Stats Collection | Starting...`});
-    await this.delay(config.initialWaitTimeInMinutes * 60 * 1000);
-    await this.tryUntilSucceeded(this.updateRunningServices.bind(this));
-    await this.tryUntilSucceeded(this.updateStats.bind(this));
-    await this.tryUntilSucceeded(this.updateFullNodeStats.bind(this));
-    await this.tryUntilSucceeded(this.updateSummaryReport.bind(this));
-    setInterval(async () => {
+    this.summaryReportTimeouts.forEach(timeout => clearTimeout(timeout));
+    this.summaryReportTimeouts.clear();
+    this.scheduledSummaryReports = config.summaryReports;
+    const summaryReportStates = await this.loadSummaryReportStates();
+    this.scheduledSummaryReports.forEach(summaryReport => {
+      let schedule;
       try {
-        await this.updateStats()
+        schedule = createSchedule(summaryReport);
       } catch (err) {
-        logger.log({ level: 'error', msg: `Stats Collection | ${err}`});
+        this.log({ level: 'error', msg: `Summary report '${summaryReport.name}' can not be scheduled: ${err.message}` });
+
+        return;
       }
-    }, 20 * 1000);
-    setInterval(async () => {
-      try {
-        await this.updateRunningServices()
-      } catch (err) {
-        logger.log({ level: 'error', msg: `Stats Collection | ${err}`});
+      if (!this.proofsFoundSinceSummaryReport.has(summaryReport.name)) {
+        this.proofsFoundSinceSummaryReport.set(summaryReport.name, 0);
+      }
+      const state = summaryReportStates[summaryReport.name];
+      this.scheduleSummaryReport({ summaryReport, schedule, lastRunAt: state ? state.createdAt : null });
+    });
+  }
+
+  scheduleSummaryReport({ summaryReport, schedule, lastRunAt }) {
+    const now = new Date();
+    const nextRunAt = schedule.getNextRunAt({ now, lastRunAt });
+    this.log({ level: 'info', msg: `Sending the '${summaryReport.name}' summary report ${moment(nextRunAt).calendar()}` });
+    const delayInMs = Math.min(Math.max(nextRunAt.getTime() - now.getTime(), 0), maximumTimeoutInMs);
+    this.summaryReportTimeouts.set(summaryReport.name, setTimeout(async () => {
+      if (new Date() < nextRunAt) {
+        this.scheduleSummaryReport({ summaryReport, schedule, lastRunAt });
+
+        return;
       }
-    }, 60 * 1000);
-    setInterval(async () => {
       try {
-        await this.updateSummaryReport()
+        await this.updateSummaryReport(summaryReport);
       } catch (err) {
-        logger.log({ level: 'error', msg: `Stats Collection | ${err}`});
+        this.log({ level: 'error', msg: `${err}`});
       }
-    }, config.summaryReportInterval * 60 * 1000);
-    logger.log({ level: 'info', msg: `Stats Collection | Started.`});
-    
+      // Reports are rescheduled on config changes while sending
+      if (this.isClosed || !this.scheduledSummaryReports.includes(summaryReport)) {
+        return;
+      }
+      // Failed reports are not retried before the next run to not flood the notifiers
+      this.scheduleSummaryReport({ summaryReport, schedule, lastRunAt: new Date() });
+    }, delayInMs));
+  }
+
+  async createConnection() {
+    const { daemonAddress, daemonSslCertFile, daemonSslKeyFile } = await this.getDaemonConnectionOptions();
+    this.origin = 'chia-dashboard-satellite';
+    this.connection = new Connection(daemonAddress, {
+      cert: daemonSslCertFile,
+      key: daemonSslKeyFile,
+      timeoutInSeconds: 120,
+    });
+    this.connection.addService(constants.SERVICE().walletUi);
+    this.connection.addService(`${this.connection.coin} plots create`); // Add the legacy plotter service to receive its events as well
+    this.connection.onError(err => this.log({level: 'error', msg: `${err}`}));
+    this.walletApiClient = new ApiClient.Wallet({ connection: this.connection, origin: this.origin });
+    this.fullNodeApiClient = new ApiClient.FullNode({ connection: this.connection, origin: this.origin });
+    this.farmerApiClient = new ApiClient.Farmer({ connection: this.connection, origin: this.origin });
+    this.harvesterApiClient = new ApiClient.Harvester({ connection: this.connection, origin: this.origin });
+    this.daemonApiClient = new ApiClient.Daemon({ connection: this.connection, origin: this.origin });
+    this.plotterApiClient = new ApiClient.Plotter({ connection: this.connection, origin: this.origin });
+  }
+
+  // Fetches all stats a single time without waiting for the daemon, subscribing to events or persisting anything
+  async collectOnce() {
+    this.isReadOnly = true;
+    await this.initTrackers();
+    this.applyExcludedServices();
+    await this.createConnection();
+    await this.connection.connect();
+    await this.updateRunningServices();
+    await this.updateFullNodeStats();
+    await Promise.all([
+      this.updateWalletStats(),
+      this.updateHarvesterStats(),
+      this.updatePoolStats(),
+      this.updateHarvesterListing(),
+    ]);
+    // The farmer stats rely on the harvester and full node stats for the farming economics
+    await this.updateFarmerStats();
+  }
+
+  async getDaemonConnectionOptions() {
+    let chiaConfig = null;
+    if (this.instance.chiaConfigDirectory) {
+      chiaConfig = new ChiaConfig(this.instance.chiaConfigDirectory);
+      await chiaConfig.load();
+    }
+    if (!chiaConfig && (!this.instance.chiaDaemonAddress || !this.instance.daemonSslCertFile || !this.instance.daemonSslKeyFile)) {
+      throw new Error('Either a chia config directory or a daemon address with cert and key files is required');
+    }
+
+    return {
+      daemonAddress: this.instance.chiaDaemonAddress || chiaConfig.daemonAddress,
+      daemonSslCertFile: this.instance.daemonSslCertFile
+        ? await fs.readFile(this.instance.daemonSslCertFile, 'utf8')
+        : await chiaConfig.getDaemonSslCertFile(),
+      daemonSslKeyFile: this.instance.daemonSslKeyFile
+        ? await fs.readFile(this.instance.daemonSslKeyFile, 'utf8')
+        : await chiaConfig.getDaemonSslKeyFile(),
+    };
   }
 
   async tryUntilSucceeded(methodReturningPromise) {
@@ -338,7 +678,7 @@ class StatsCollection {
         await methodReturningPromise();
         succeeded = true;
       } catch (err) {
-        logger.log({level:'error', msg: `Stats Collection | ${err.message}`});
+        this.log({level:'error', msg: `${err.message}`});
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
@@ -349,7 +689,68 @@ class StatsCollection {
       this.updateWalletStats(),
       this.updateHarvesterStats(),
       this.updateFarmerStats(),
+      this.updatePlotHistoryStats(),
     ])
+    await this.evaluateAlerts();
+    await this.recordHistory();
+  }
+
+  // Plots age out of the history while the plotter is idle, so it is not only refreshed on completed plots
+  async updatePlotHistoryStats() {
+    const plotterStats = this.stats.get(plotterService);
+    if (!this.isServiceEnabled(plotterService) || !plotterStats || !plotterStats.completedPlots) {
+      return;
+    }
+    const completedPlots = this.plotHistory.getStats();
+    if (isEqual(plotterStats.completedPlots, completedPlots)) {
+      return;
+    }
+    plotterStats.completedPlots = completedPlots;
+    await this.setStatsForService(plotterService, plotterStats, { completedPlots });
+  }
+
+  async recordHistory() {
+    if (!this.historyStore) {
+      return;
+    }
+    const values = {};
+    const fullNodeStats = this.isServiceRunning.get(fullNodeService) ? this.stats.get(fullNodeService) : undefined;
+    if (fullNodeStats && fullNodeStats.blockchainState) {
+      values.syncedHeight = fullNodeStats.blockchainState.syncStatus.syncedHeight;
+      values.netspaceInGib = fullNodeStats.blockchainState.spaceInGib;
+    }
+    const harvesterStats = this.isServiceRunning.get(harvesterService) ? this.stats.get(harvesterService) : undefined;
+    if (harvesterStats) {
+      values.plotCount = harvesterStats.plotCount;
+      values.rawCapacityInGib = harvesterStats.totalRawPlotCapacityInGib;
+      values.effectiveCapacityInGib = harvesterStats.totalEffectivePlotCapacityInGib;
+    }
+    const farmerStats = this.isServiceRunning.get(farmerService) ? this.stats.get(farmerService) : undefined;
+    if (farmerStats) {
+      values.farmerPlotCount = farmerStats.totalPlotCount;
+      values.averageHarvesterResponseTime = farmerStats.averageHarvesterResponseTime;
+      values.worstHarvesterResponseTime = farmerStats.worstHarvesterResponseTime;
+      values.averagePassedFilter = farmerStats.avgPassedFilter;
+    }
+    const walletStats = this.isServiceRunning.get(walletService) ? this.stats.get(walletService) : undefined;
+    if (walletStats && walletStats.wallets) {
+      walletStats.wallets.forEach(wallet => {
+        values[`wallet${wallet.id}ConfirmedBalance`] = wallet.balance.confirmed;
+        values[`wallet${wallet.id}SpendableBalance`] = wallet.balance.spendable;
+      });
+    }
+    try {
+      await this.historyStore.record(values);
+    } catch (err) {
+      this.log({ level: 'error', msg: `Could not record history: ${err}` });
+    }
+  }
+
+  async evaluateAlerts() {
+    await this.alertEngine.evaluate({
+      harvesterStats: this.isServiceRunning.get(harvesterService) ? this.stats.get(harvesterService) : undefined,
+      farmerStats: this.isServiceRunning.get(farmerService) ? this.stats.get(farmerService) : undefined,
+    });
   }
 
   async setStatsForService(service, stats, partialStats) {
@@ -357,30 +758,30 @@ class StatsCollection {
       partialStats = { dummyToUpdateDate: true }
     }
     this.setStatsForServiceWithoutUpdate(service, stats, partialStats);
-    this.updateStatsThrottled(this.partialStats)
+    this.dashboardUpdater.updateStatsThrottled()
   }
 
   setStatsForServiceWithoutUpdate(service, stats, partialStats) {
-    this.stats.set(service, stats);
-    if (config.enableCompatibilityMode) {
-      this.partialStats[service] = stats
-    } else {
-      this.partialStats[service] = mergeWith(
-        (this.partialStats[service] || {}),
-        partialStats,
-        (objValue, srcValue) => {
-          if (isArray(objValue)) {
-            return srcValue
-          }
-        }
-      )
+    // Events of services which got disabled through a config reload are still received
+    if (!this.isServiceEnabled(service)) {
+      return;
     }
+    this.stats.set(service, stats);
+    this.dashboardUpdater.setStats(service, stats, partialStats)
+  }
+
+  getFullStats() {
+    return allServices.reduce((fullStats, service) => {
+      fullStats[service] = this.isServiceEnabled(service) && this.stats.has(service) ? this.stats.get(service) : null;
+
+      return fullStats;
+    }, {});
   }
 
   async deleteStatsForService(service) {
     this.stats.delete(service);
-    this.partialStats[service] = null;
-    this.updateStatsThrottled(this.partialStats);
+    this.dashboardUpdater.deleteStats(service);
+    this.dashboardUpdater.updateStatsThrottled();
   }
 
   getFarmingInfosForApi() {
@@ -406,6 +807,9 @@ class StatsCollection {
       passedFilter: farmingInfo.passed_filter,
       proofs: farmingInfo.proofs,
       totalPlots: farmingInfo.total_plots,
+      // The harvester reports the lookup time in microseconds
+      lookupTime: farmingInfo.lookup_time !== undefined ? farmingInfo.lookup_time / 1000 : undefined,
+      nodeId: farmingInfo.node_id,
     };
   }  
 
@@ -417,6 +821,7 @@ class StatsCollection {
     return {
       challenge: signagePoint.challenge_hash,
       signagePoint: signagePoint.challenge_chain_sp,
+      signagePointIndex: signagePoint.signage_point_index,
       receivedAt: new Date(),
     };
   }
@@ -497,6 +902,8 @@ class StatsCollection {
         name: wallet.name,
         type: wallet.type,
         balance: {
+          confirmed: ChiaAmount.fromRaw(balance.confirmed_wallet_balance).toString(),
+          spendable: ChiaAmount.fromRaw(balance.spendable_balance).toString(),
           unconfirmed: ChiaAmount.fromRaw(balance.unconfirmed_wallet_balance).toString(),
         },
       };
@@ -550,14 +957,30 @@ class StatsCollection {
     const farmedAmountResponse = await this.walletApiClient.getFarmedAmount();
     const farmedAmount = {
       lastHeightFarmed: farmedAmountResponse.last_height_farmed,
-    }
-    if (walletStats.farmedAmount === undefined || walletStats.farmedAmount.lastHeightFarmed !== farmedAmount.lastHeightFarmed) {
+      farmedAmount: ChiaAmount.fromRaw(farmedAmountResponse.farmed_amount || 0).toString(),
+      poolRewardAmount: ChiaAmount.fromRaw(farmedAmountResponse.pool_reward_amount || 0).toString(),
+      farmerRewardAmount: ChiaAmount.fromRaw(farmedAmountResponse.farmer_reward_amount || 0).toString(),
+      feeAmount: ChiaAmount.fromRaw(farmedAmountResponse.fee_amount || 0).toString(),
+      blocksWon: farmedAmountResponse.blocks_won,
+      lastTimeFarmed: farmedAmountResponse.last_time_farmed ? moment.unix(farmedAmountResponse.last_time_farmed).toDate() : null,
+    }
+    const previousLastHeightFarmed = walletStats.farmedAmount ? walletStats.farmedAmount.lastHeightFarmed : undefined
+    if (!isEqual(walletStats.farmedAmount, farmedAmount)) {
       if (walletPartialStats === undefined) {
         walletPartialStats = {}
       }
       walletPartialStats.farmedAmount = farmedAmount
     }
     walletStats.farmedAmount = farmedAmount
+    await this.earningsTracker.addSnapshot(farmedAmountResponse.farmed_amount || 0)
+    const earnings = this.earningsTracker.getEarnings()
+    if (!isEqual(walletStats.earnings, earnings)) {
+      if (walletPartialStats === undefined) {
+        walletPartialStats = {}
+      }
+      walletPartialStats.earnings = earnings
+    }
+    walletStats.earnings = earnings
     const fingerprint = await this.walletApiClient.getPublicKey()
     if (walletStats.fingerprint !== fingerprint) {
       if (walletPartialStats === undefined) {
@@ -567,6 +990,9 @@ class StatsCollection {
     }
     walletStats.fingerprint = fingerprint
     await this.setStatsForService(walletService, walletStats, walletPartialStats)
+    if (previousLastHeightFarmed !== undefined && farmedAmount.lastHeightFarmed > previousLastHeightFarmed) {
+      await this.sendNewBlockNotification(farmedAmount)
+    }
   }
 
   async updateFullNodeStats() {
@@ -605,12 +1031,21 @@ class StatsCollection {
     
     // If the full node was previously unsynced and is now synced, send a notification
     if (wasSynced === false && isSynced === true) {
-      this.sendNotification('Full Node Synced', 'The Full Node has synced successfully!');
+      await this.sendNotification({
+        type: EventType.syncRegained,
+        title: 'Full Node Synced',
+        body: `${this.nodeId}\nThe Full Node has synced successfully!`,
+      });
     }
     
     // If the full node was previously synced and is now unsynced, send another notification
     if (wasSynced === true && isSynced === false) {
-      this.sendNotification('Full Node Unsynced', 'The Full Node has become unsynced!');
+      await this.sendNotification({
+        type: EventType.syncLost,
+        title: 'Full Node Unsynced',
+        body: `${this.nodeId}\nThe Full Node has become unsynced!`,
+        severity: Severity.warning,
+      });
     }
   }
 
@@ -645,22 +1080,92 @@ class StatsCollection {
     }, 0) - (farmerStats.lastProofCount || 0);
   
     if (newProofCount > 0) {
+      this.proofsFoundSinceSummaryReport.forEach((proofsFound, name) => this.proofsFoundSinceSummaryReport.set(name, proofsFound + newProofCount));
       await this.sendNewProofNotification(newProofCount);
     }
   
     farmerStats.lastProofCount = farmingInfos.reduce((acc, farmingInfo) => {
       return acc + farmingInfo.proofs;
     }, 0);
+
+    farmerStats.signagePointHealth = this.signagePointMonitor.getStats();
+
+    farmerStats.harvesters = this.harvesterTracker.getStats();
+
+    const fullNodeStats = this.stats.get(fullNodeService) || {};
+    const harvesterStats = this.stats.get(harvesterService) || {};
+    const blockchainState = fullNodeStats.blockchainState || {};
+    farmerStats.farmingEconomics = getFarmingEconomics({
+      netspaceInGib: blockchainState.spaceInGib,
+      height: blockchainState.syncStatus ? blockchainState.syncStatus.syncedHeight : undefined,
+      farmerPlotCount: farmerStats.totalPlotCount,
+      harvesterPlotCount: harvesterStats.plotCount,
+      harvesterEffectiveCapacityInGib: harvesterStats.totalEffectivePlotCapacityInGib,
+      farmingInfos,
+    });
   
     await this.setStatsForService(farmerService, farmerStats, farmerStats);
   }
   
+  // The listing is optional, failing to get it must not hold back the other farmer stats
+  async updateHarvesterListing() {
+    if (!this.isServiceRunning.get(farmerService)) {
+      return;
+    }
+    try {
+      const { harvesters } = await this.sendFarmerRequest('get_harvesters_summary');
+      this.harvesterTracker.updateConnectedHarvesters(harvesters || []);
+    } catch (err) {
+      this.log({ level: 'error', msg: `Updating the harvester listing failed: ${err}` });
+
+      return;
+    }
+    const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
+    farmerStats.harvesters = this.harvesterTracker.getStats();
+    await this.setStatsForService(farmerService, farmerStats, { harvesters: farmerStats.harvesters });
+  }
+
+  // chia-api has no client methods for some farmer rpc commands
+  async sendFarmerRequest(command) {
+    const response = await this.connection.send(new Message({
+      command,
+      origin: this.origin,
+      destination: constants.SERVICE(this.connection.coin).farmer,
+    }));
+
+    return response.data;
+  }
+
+  // Pool stats are optional, failing to get them must not hold back the other stats
+  async updatePoolStats() {
+    if (!this.isServiceRunning.get(farmerService)) {
+      return;
+    }
+    const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
+    let poolStates;
+    try {
+      poolStates = (await this.sendFarmerRequest('get_pool_state')).pool_state || [];
+    } catch (err) {
+      this.log({ level: 'error', msg: `Updating the pool stats failed: ${err}` });
+
+      return;
+    }
+    const pools = poolStates.map(poolState => getRelevantPoolState(poolState));
+    let farmerPartialStats = undefined;
+    if (!isEqual(farmerStats.pools, pools)) {
+      farmerPartialStats = { pools };
+    }
+    farmerStats.pools = pools;
+    await this.setStatsForService(farmerService, farmerStats, farmerPartialStats);
+  }
+
   async updateHarvesterStats() {
     if (!this.isServiceRunning.get(harvesterService)) {
       return
     }
     const harvesterStats = this.stats.has(harvesterService) ? this.stats.get(harvesterService) : {}
-    const { plots } = await this.harvesterApiClient.getPlots()
+    const getPlotsResponse = await this.harvesterApiClient.getPlots()
+    const { plots } = getPlotsResponse
     const ogPlots = plots.filter(plot => plot.pool_public_key !== null)
     const totalRawOgPlotCapacity = ogPlots
       .map(plot => Capacity.fromBytes(plot.file_size))
@@ -675,7 +1180,7 @@ class StatsCollection {
       rawCapacityInGib: totalRawOgPlotCapacity,
       effectiveCapacityInGib: totalEffectiveOgPlotCapacity,
     }
-    if (config.enableCompatibilityMode) {
+    if (this.dashboardUpdater.isCompatibilityModeEnabled) {
       ogPlotStats.capacityInGib = ogPlotStats.effectiveCapacityInGib
     }
     let harvesterPartialStats = undefined
@@ -709,7 +1214,7 @@ class StatsCollection {
       rawCapacityInGib: totalRawNftPlotCapacity,
       effectiveCapacityInGib: totalEffectiveNftPlotCapacity,
     }
-    if (config.enableCompatibilityMode) {
+    if (this.dashboardUpdater.isCompatibilityModeEnabled) {
       nftPlotStats.capacityInGib = nftPlotStats.effectiveCapacityInGib
     }
     if (
@@ -753,7 +1258,7 @@ class StatsCollection {
     }
     if (harvesterStats.totalEffectivePlotCapacityInGib !== totalEffectivePlotCapacityInGib) {
       harvesterStats.totalEffectivePlotCapacityInGib = totalEffectivePlotCapacityInGib
-      if (config.enableCompatibilityMode) {
+      if (this.dashboardUpdater.isCompatibilityModeEnabled) {
         harvesterStats.totalCapacityInGib = harvesterStats.totalEffectivePlotCapacityInGib
       }
       if (harvesterPartialStats === undefined) {
@@ -761,6 +1266,22 @@ class StatsCollection {
       }
       harvesterPartialStats.totalEffectivePlotCapacityInGib = harvesterStats.totalEffectivePlotCapacityInGib
     }
+    const plotsByCompressionLevel = getPlotsByCompressionLevel(plots)
+    if (!isEqual(harvesterStats.plotsByCompressionLevel, plotsByCompressionLevel)) {
+      harvesterStats.plotsByCompressionLevel = plotsByCompressionLevel
+      if (harvesterPartialStats === undefined) {
+        harvesterPartialStats = {}
+      }
+      harvesterPartialStats.plotsByCompressionLevel = harvesterStats.plotsByCompressionLevel
+    }
+    const inventory = await getPlotInventory({ getPlotsResponse, diskResolver: this.diskResolver })
+    if (!isEqual(harvesterStats.inventory, inventory)) {
+      harvesterStats.inventory = inventory
+      if (harvesterPartialStats === undefined) {
+        harvesterPartialStats = {}
+      }
+      harvesterPartialStats.inventory = harvesterStats.inventory
+    }
     const connections = await this.harvesterApiClient.getConnections()
     const farmerConnections = connections.filter(conn => conn.type === constants.SERVICE_TYPE.farmer)
     if (harvesterStats.farmerConnectionsCount !== farmerConnections.length) {
@@ -774,6 +1295,7 @@ class StatsCollection {
   }
 
   async updateRunningServices() {
+    const runningStates = {};
     // Ignore the plotter service here as it is only running when plotting
     await Promise.all(this.enabledServices.filter(service => service !== plotterService).map(async service => {
       let isRunning = await this.daemonApiClient.isServiceRunning(constants.SERVICE()[service]);
@@ -787,19 +1309,37 @@ class StatsCollection {
       }
 
       this.isServiceRunning.set(service, isRunning);
+      runningStates[service] = isRunning;
       if (!isRunning && this.stats.has(service)) {
         await this.deleteStatsForService(service);
       }
     }));
+    await this.updateUptime({ runningStates });
   }
 
-  async checkForPassedFilterTimeout(farmerStats) {
-    const notifyTimeoutInMins = config.timeThresholdInMinutes;
-    const lastFarmingInfo = farmerStats.farmingInfos && farmerStats.farmingInfos.length > 0 ? farmerStats.farmingInfos[0] : null;
-  
-    if (lastFarmingInfo && moment().diff(lastFarmingInfo.receivedAt, 'minutes') >= notifyTimeoutInMins) {
-      if (lastFarmingInfo.passedFilter === 0) {
-        await this.sendNotification(`No passed filter events in the last ${notifyTimeoutInMins} minutes.`);
+  // One-off collections neither know the previous states nor own the uptime file
+  async updateUptime({ runningStates, reason }) {
+    if (this.isReadOnly) {
+      return;
+    }
+    const changes = await this.uptimeTracker.update(runningStates);
+    for (const { service, isRunning, previousStateChangeAt } of changes) {
+      const serviceTitle = serviceTitles[service];
+      const previousStateDuration = previousStateChangeAt ? moment(previousStateChangeAt).fromNow(true) : null;
+      this.log({ level: isRunning ? 'info' : 'warn', msg: `The ${serviceTitle} ${isRunning ? 'is running again' : 'stopped running'}` });
+      if (isRunning) {
+        await this.sendNotification({
+          type: EventType.serviceUp,
+          title: `${serviceTitle} Up`,
+          body: `${this.nodeId}\nThe ${serviceTitle} is running again${previousStateDuration ? ` after being down for ${previousStateDuration}` : ''}`,
+        });
+      } else {
+        await this.sendNotification({
+          type: EventType.serviceDown,
+          title: `${serviceTitle} Down`,
+          body: `${this.nodeId}\nThe ${serviceTitle} stopped running${previousStateDuration ? ` after being up for ${previousStateDuration}` : ''}${reason ? ` as ${reason}` : ''}`,
+          severity: Severity.critical,
+        });
       }
     }
   }
@@ -810,123 +1350,148 @@ class StatsCollection {
     <Farmer>
     - New proof found: ${count} proof${count > 1 ? 's' : ''}`;
     const newProofNotificationMessage = `
-    ${config.nodeId}
+    ${this.nodeId}
     ${newProofNotificationContent}
     `;
-    await this.sendNotification(newProofNotificationMessage);
+    await this.sendNotification({ type: EventType.proofFound, title: 'New Proof Found', body: newProofNotificationMessage });
   }  
   
-  async generateSummaryReport() {
-    // Fetch the latest stats from StatsCollection
-    const fullNodeStats = this.stats.has(fullNodeService) ? this.stats.get(fullNodeService) : {};
-    const harvesterStats = this.stats.has(harvesterService) ? this.stats.get(harvesterService) : {};
-    const farmerStats = this.stats.has(farmerService) ? this.stats.get(farmerService) : {};
-  
-    let fullNodeReport = '';
-    if (this.isServiceEnabled(fullNodeService)) {
-      const blockchainState = fullNodeStats.blockchainState || {};
-      fullNodeReport = `
-      <Full Node>
-      - Synced: ${blockchainState?.syncStatus?.synced ? 'Yes' : 'No'}
-      - Blockchain Synced Height: ${blockchainState?.syncStatus?.syncedHeight || 'N/A'}
-      - Peer Connections: ${fullNodeStats.fullNodeConnectionsCount || 0}
-      `;
-    }
-
-    let farmerReport = '';
-    if (this.isServiceEnabled(farmerService)) {
-      const farmingInfos = farmerStats.farmingInfos || [];
-      const avgPassedFilter = farmerStats.avgPassedFilter || 0;
-
-      farmerReport = `
-      <Farmer>
-      - Total Plots: ${farmingInfos.length > 0 ? farmingInfos[0].totalPlots : 0}
-      - Recent plot passed filter: ${farmingInfos.length > 0 ? farmingInfos[0].passedFilter : 0}
-      - Last 30 mins average passed filter: ${avgPassedFilter}
-      `;
-    }
-  
-    let harvesterReport = '';
-    if (this.isServiceEnabled(harvesterService)) {
-      const totalCapacityInPiB = (harvesterStats.totalCapacityInGib / 1000000).toFixed(3).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-      const plotCount = harvesterStats.plotCount?.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",") || 0;
-      harvesterReport = `
-      <Harvester>
-      - Total Capacity (PiB): ${totalCapacityInPiB}
-      - Plot Count: ${plotCount}
-      `;
-    }
-  
-    const summaryReport = `
-    ${config.nodeId}
-    ${fullNodeReport}${harvesterReport}${farmerReport}
-    `;
-    return summaryReport;
-  }  
-
-  async updateSummaryReport() {
-    const summaryReport = await this.generateSummaryReport();
-    await this.sendNotification(summaryReport);
+  async sendNewBlockNotification(farmedAmount) {
+    await this.sendNotification({
+      type: EventType.blockFarmed,
+      title: 'New Block Farmed',
+      body: `${this.nodeId}
+Farmed a new block at height ${farmedAmount.lastHeightFarmed}!
+- Total farmed: ${farmedAmount.farmedAmount}
+- Blocks won: ${farmedAmount.blocksWon !== undefined ? farmedAmount.blocksWon : 'N/A'}`,
+    });
   }
-  
-  async sendEmail(message) {
-
-    // Configure Nodemailer
-    const transporter = nodemailer.createTransport({
-      service: config.emailService,
-      auth: {
-        user: config.senderEmail,
-        pass: config.senderPassword,
-      },
+
+  async generateSummaryReport({ previousSnapshot = null, proofsFound = 0 } = {}) {
+    const report = buildSummaryReport({
+      nodeId: this.nodeId,
+      label: this.label,
+      enabledServices: this.enabledServices,
+      isServiceRunning: service => this.isServiceRunning.get(service),
+      getUptime: service => this.uptimeTracker.getStats(service),
+      stats: Object.fromEntries(this.stats),
+      previousSnapshot,
+      proofsFound,
     });
 
-    // Set up email options
-    const mailOptions = {
-      from: config.senderEmail,
-      to: config.recipientEmail,
-      subject: 'Notification >> Chia-Dashboard-Satellite',
-      text: message,
+    return {
+      report,
+      text: await this.renderSummaryReport({ format: 'text', report, render: renderText }),
+      markdown: await this.renderSummaryReport({ format: 'markdown', report, render: renderMarkdown }),
+      html: await this.renderSummaryReport({ format: 'html', report, render: renderHtml }),
     };
+  }
 
-    // Send the email
+  async renderSummaryReport({ format, report, render }) {
+    const templateFilePath = config.summaryReportTemplates[format];
+    if (!templateFilePath) {
+      return render(report);
+    }
     try {
-      const info = await transporter.sendMail(mailOptions);
-      console.log('Email sent:', info.response);
-    } catch (error) {
-      console.error('Error sending email:', error);
+      // Read on every report so template changes apply without a restart
+      const templateString = await fs.readFile(templateFilePath, 'utf8');
+
+      return renderTemplate({ templateString, report });
+    } catch (err) {
+      this.log({ level: 'error', msg: `Could not render the ${format} summary report template ${templateFilePath}, using the default one: ${err.message}` });
+
+      return render(report);
     }
   }
-  
-  async sendLineNotification(message) {
-    if (!config.lineNotifyAccessToken) {
-      console.log('LINE Notify access token is not set.');
-      return;
-    }
-  
+
+  // Holds the snapshot of the last report per summary report, which is also when it was sent
+  async loadSummaryReportStates() {
     try {
-      await this.lineNotifyClient.notify({ message });
-      console.log('LINE notification sent:', message);
-    } catch (error) {
-      console.error('Error sending LINE notification:', error);
+      return JSON.parse(await fs.readFile(this.getDataFilePath('summary-reports'), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+        throw err;
+      }
+
+      return {};
     }
   }
 
-  async sendNotification(message) {
-    if (config.emailNotificationsEnabled) {
-      await this.sendEmail(message);
-    }
-  
-    if (config.lineNotificationsEnabled) {
-      await this.sendLineNotification(message);
+  async updateSummaryReport(summaryReport) {
+    // Reports which are due at the same time are sent one after another as they share the state file
+    const promise = this.summaryReportPromise.then(() => this.sendSummaryReport(summaryReport));
+    this.summaryReportPromise = promise.catch(() => {});
+    await promise;
+  }
+
+  async sendSummaryReport({ name, notifiers: notifierNames }) {
+    const proofsFound = this.proofsFoundSinceSummaryReport.get(name) || 0;
+    const summaryReportStates = await this.loadSummaryReportStates();
+    const { report, text, markdown, html } = await this.generateSummaryReport({
+      previousSnapshot: summaryReportStates[name] || null,
+      proofsFound,
+    });
+    await this.sendNotification({
+      type: EventType.summaryReport,
+      title: `Summary Report (${name})`,
+      body: text,
+      markdown,
+      html,
+      notifierNames,
+      isScheduledReport: true,
+    });
+    this.proofsFoundSinceSummaryReport.set(name, (this.proofsFoundSinceSummaryReport.get(name) || 0) - proofsFound);
+    summaryReportStates[name] = report.snapshot;
+    await fs.writeFile(this.getDataFilePath('summary-reports'), JSON.stringify(summaryReportStates), 'utf8');
+  }
+
+  async sendNotification({ type, title, body, severity = Severity.info, markdown, html, notifierNames, isScheduledReport }) {
+    if (this.isReadOnly) {
+      return;
     }
-  }  
-  
+    await notificationDispatcher.send({
+      type,
+      title: this.label ? `[${this.label}] ${title}` : title,
+      body,
+      severity,
+      markdown,
+      html,
+      notifierNames,
+      isScheduledReport,
+    });
+  }
+
   isServiceEnabled(service) {
     return this.enabledServices.some(curr => curr === service);
   }
 
+  // chia-api reconnects dropped connections on its own, which would keep the event handlers of this one running
   async closeDaemonConnection() {
-    await this.connection.close();
+    if (!this.connection) {
+      return;
+    }
+    this.connection.shouldRconnect = false;
+    this.connection.events.removeAllListeners('message');
+    try {
+      await this.connection.close();
+    } catch (err) {
+      // The connection might already be gone when the daemon went away
+    }
+  }
+
+  async close() {
+    this.isClosed = true;
+    this.intervals.forEach(interval => clearInterval(interval));
+    this.intervals = [];
+    this.summaryReportTimeouts.forEach(timeout => clearTimeout(timeout));
+    if (this.historyStore) {
+      await this.historyStore.flush();
+    }
+    // Keeps the time the states were last observed accurate for the next start
+    if (this.uptimeTracker && !this.isReadOnly) {
+      await this.uptimeTracker.save(new Date());
+    }
+    await this.closeDaemonConnection();
   }
 
   sortFarmingInfos(farmingInfos) {
@@ -952,6 +1517,8 @@ class StatsCollection {
         wallet.id !== newWallet.id
         || wallet.name !== newWallet.name
         || wallet.type !== newWallet.type
+        || wallet.balance.confirmed !== newWallet.balance.confirmed
+        || wallet.balance.spendable !== newWallet.balance.spendable
         || wallet.balance.unconfirmed !== newWallet.balance.unconfirmed
       ) {
         return true
@@ -977,4 +1544,4 @@ class StatsCollection {
   }
 }
 
-module.exports = new StatsCollection();
+module.exports = { StatsCollection, allServices };
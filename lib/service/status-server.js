@@ -0,0 +1,246 @@
+const http = require('http');
+
+const config = require('./config');
+const logger = require('./logger');
+const instanceManager = require('./instance-manager');
+const PrometheusMetrics = require('../prometheus-metrics');
+const version = require('../version');
+
+class StatusServer {
+  async init() {
+    const { enabled, bindAddress, port } = config.statusServer;
+    if (!enabled) {
+      return;
+    }
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, bindAddress, resolve);
+    });
+    this.server.on('error', err => logger.log({ level: 'error', msg: `Status Server | ${err}` }));
+    logger.log({ level: 'info', msg: `Status Server | Listening on http://${bindAddress}:${port}` });
+  }
+
+  async handleRequest(req, res) {
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+
+      return;
+    }
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    try {
+      switch (pathname) {
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          res.end(this.getMetrics());
+          break;
+        case '/api/stats':
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+          res.end(JSON.stringify(this.getStats()));
+          break;
+        case '/api/history':
+          await this.handleHistoryRequest(searchParams, res);
+          break;
+        default:
+          res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('Not Found');
+      }
+    } catch (err) {
+      logger.log({ level: 'error', msg: `Status Server | ${err}` });
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal Server Error');
+    }
+  }
+
+  getStats() {
+    return {
+      version,
+      instances: instanceManager.statsCollections.map(statsCollection => {
+        const services = {};
+        // Services which are down have no stats but their uptime is still of interest
+        new Set([...statsCollection.stats.keys(), ...statsCollection.enabledServices]).forEach(service => {
+          services[service] = {
+            isRunning: statsCollection.isServiceRunning.get(service) || false,
+            uptime: statsCollection.uptimeTracker ? statsCollection.uptimeTracker.getStats(service) : null,
+            stats: statsCollection.stats.get(service) || null,
+          };
+        });
+
+        return {
+          label: statsCollection.label,
+          nodeId: statsCollection.nodeId,
+          isConnectedToDaemon: statsCollection.isConnected,
+          services,
+        };
+      }),
+    };
+  }
+
+  async handleHistoryRequest(searchParams, res) {
+    const label = searchParams.get('instance');
+    const statsCollection = label !== null
+      ? instanceManager.statsCollections.find(curr => curr.label === label)
+      : instanceManager.statsCollections[0];
+    if (!statsCollection || !statsCollection.historyStore) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('No history available');
+
+      return;
+    }
+    const resolution = searchParams.get('resolution') || 'hour';
+    if (!['minute', 'hour', 'day'].includes(resolution)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Invalid resolution: ${resolution}`);
+
+      return;
+    }
+    const metrics = searchParams.get('metrics');
+    const history = await statsCollection.historyStore.query({
+      resolution,
+      from: searchParams.get('from') || undefined,
+      to: searchParams.get('to') || undefined,
+      metrics: metrics ? metrics.split(',') : undefined,
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ label: statsCollection.label, resolution, history }));
+  }
+
+  getMetrics() {
+    const rootMetrics = new PrometheusMetrics('chia_satellite');
+    rootMetrics.gauge({ name: 'info', help: 'Satellite version', value: 1, labels: { version } });
+    instanceManager.statsCollections.forEach(statsCollection => {
+      const metrics = rootMetrics.withLabels({ instance: statsCollection.label });
+      metrics.gauge({ name: 'daemon_connected', help: 'Whether the daemon is connected', value: statsCollection.isConnected });
+      statsCollection.isServiceRunning.forEach((isRunning, service) => {
+        metrics.gauge({ name: 'service_running', help: 'Whether the service is running', value: isRunning, labels: { service } });
+        const uptime = statsCollection.uptimeTracker ? statsCollection.uptimeTracker.getStats(service) : null;
+        if (uptime) {
+          metrics.gauge({ name: 'service_uptime_percent', help: 'Share of the time the service was running', value: uptime.uptimePercent.last24Hours, labels: { service, window: '24h' } });
+          metrics.gauge({ name: 'service_uptime_percent', help: 'Share of the time the service was running', value: uptime.uptimePercent.last7Days, labels: { service, window: '7d' } });
+        }
+      });
+      const { fullNode, harvester, farmer, wallet } = Object.fromEntries(statsCollection.stats);
+      if (fullNode) {
+        this.addFullNodeMetrics(metrics, fullNode);
+      }
+      if (harvester) {
+        this.addHarvesterMetrics(metrics, harvester);
+      }
+      if (farmer) {
+        this.addFarmerMetrics(metrics, farmer);
+      }
+      if (wallet) {
+        this.addWalletMetrics(metrics, wallet);
+      }
+    });
+
+    return rootMetrics.toString();
+  }
+
+  addFullNodeMetrics(metrics, fullNodeStats) {
+    const blockchainState = fullNodeStats.blockchainState || {};
+    const syncStatus = blockchainState.syncStatus || {};
+    metrics.gauge({ name: 'full_node_synced', help: 'Whether the full node is synced', value: syncStatus.synced });
+    metrics.gauge({ name: 'full_node_syncing', help: 'Whether the full node is syncing', value: syncStatus.syncing });
+    metrics.gauge({ name: 'full_node_synced_height', help: 'Synced height of the full node', value: syncStatus.syncedHeight });
+    metrics.gauge({ name: 'full_node_tip_height', help: 'Sync tip height of the full node', value: syncStatus.tipHeight });
+    metrics.gauge({ name: 'full_node_difficulty', help: 'Current difficulty', value: blockchainState.difficulty });
+    metrics.gauge({ name: 'full_node_netspace_gib', help: 'Estimated netspace in GiB', value: blockchainState.spaceInGib });
+    metrics.gauge({ name: 'full_node_peer_connections', help: 'Number of connected full node peers', value: fullNodeStats.fullNodeConnectionsCount });
+  }
+
+  addHarvesterMetrics(metrics, harvesterStats) {
+    metrics.gauge({ name: 'harvester_plot_count', help: 'Total number of plots', value: harvesterStats.plotCount });
+    metrics.gauge({ name: 'harvester_raw_capacity_gib', help: 'Total raw plot capacity in GiB', value: harvesterStats.totalRawPlotCapacityInGib });
+    metrics.gauge({ name: 'harvester_effective_capacity_gib', help: 'Total effective plot capacity in GiB', value: harvesterStats.totalEffectivePlotCapacityInGib });
+    metrics.gauge({ name: 'harvester_farmer_connections', help: 'Number of connected farmers', value: harvesterStats.farmerConnectionsCount });
+    [['og', harvesterStats.ogPlots], ['nft', harvesterStats.nftPlots]]
+      .filter(([, plotStats]) => plotStats)
+      .forEach(([type, plotStats]) => {
+        metrics.gauge({ name: 'harvester_plots', help: 'Number of plots by type', value: plotStats.count, labels: { type } });
+        metrics.gauge({ name: 'harvester_plots_raw_capacity_gib', help: 'Raw plot capacity in GiB by type', value: plotStats.rawCapacityInGib, labels: { type } });
+        metrics.gauge({ name: 'harvester_plots_effective_capacity_gib', help: 'Effective plot capacity in GiB by type', value: plotStats.effectiveCapacityInGib, labels: { type } });
+      });
+    (harvesterStats.plotsByCompressionLevel || []).forEach(({ compressionLevel, count, rawCapacityInGib, effectiveCapacityInGib }) => {
+      const labels = { compression_level: compressionLevel !== null ? compressionLevel : 'unknown' };
+      metrics.gauge({ name: 'harvester_compressed_plots', help: 'Number of plots by compression level', value: count, labels });
+      metrics.gauge({ name: 'harvester_compressed_plots_raw_capacity_gib', help: 'Raw plot capacity in GiB by compression level', value: rawCapacityInGib, labels });
+      metrics.gauge({ name: 'harvester_compressed_plots_effective_capacity_gib', help: 'Effective plot capacity in GiB by compression level', value: effectiveCapacityInGib, labels });
+    });
+  }
+
+  addFarmerMetrics(metrics, farmerStats) {
+    metrics.gauge({ name: 'farmer_average_harvester_response_time_ms', help: 'Average harvester response time in ms', value: farmerStats.averageHarvesterResponseTime });
+    metrics.gauge({ name: 'farmer_worst_harvester_response_time_ms', help: 'Worst harvester response time in ms', value: farmerStats.worstHarvesterResponseTime });
+    metrics.gauge({ name: 'farmer_average_passed_filter', help: 'Average passed filter over the last 30 minutes', value: farmerStats.avgPassedFilter });
+    metrics.gauge({ name: 'farmer_plot_count', help: 'Total number of plots across all harvesters', value: farmerStats.totalPlotCount });
+    metrics.gauge({ name: 'farmer_proofs', help: 'Number of proofs found in the tracked farming infos', value: farmerStats.lastProofCount });
+    if (farmerStats.farmingEconomics) {
+      const { expectedTimeToWinInSeconds, expectedRewardPerDay, estimatedEffectiveCapacityInGib } = farmerStats.farmingEconomics;
+      metrics.gauge({ name: 'farmer_expected_time_to_win_seconds', help: 'Expected time to win a block in seconds', value: expectedTimeToWinInSeconds });
+      metrics.gauge({ name: 'farmer_expected_reward_per_day', help: 'Expected block rewards per day', value: expectedRewardPerDay });
+      metrics.gauge({ name: 'farmer_estimated_effective_capacity_gib', help: 'Effective capacity estimated from the passed filter history in GiB', value: estimatedEffectiveCapacityInGib });
+    }
+    if (farmerStats.signagePointHealth) {
+      const { missedSignagePointsLastHour, lateFarmingInfosLastHour, slowLookupsLastHour } = farmerStats.signagePointHealth;
+      metrics.gauge({ name: 'farmer_missed_signage_points_last_hour', help: 'Signage points missed in the last hour', value: missedSignagePointsLastHour });
+      metrics.gauge({ name: 'farmer_late_farming_infos_last_hour', help: 'Farming infos received after 28 seconds in the last hour', value: lateFarmingInfosLastHour });
+      metrics.gauge({ name: 'farmer_slow_lookups_last_hour', help: 'Harvester lookups slower than 5 seconds in the last hour', value: slowLookupsLastHour });
+    }
+    (farmerStats.harvesters || []).forEach(harvester => {
+      const labels = { node_id: harvester.nodeId, host: harvester.host || '' };
+      metrics.gauge({ name: 'farmer_harvester_connected', help: 'Whether the harvester is connected', value: harvester.isConnected, labels });
+      metrics.gauge({ name: 'farmer_harvester_plots', help: 'Plot count per harvester', value: harvester.plotCount, labels });
+      metrics.gauge({ name: 'farmer_harvester_average_response_time_ms', help: 'Average response time per harvester in ms', value: harvester.averageResponseTime, labels });
+      metrics.gauge({ name: 'farmer_harvester_worst_response_time_ms', help: 'Worst response time per harvester in ms', value: harvester.worstResponseTime, labels });
+      metrics.gauge({ name: 'farmer_harvester_passed_filter_ratio', help: 'Ratio of plots passing the filter per harvester', value: harvester.passedFilterRatio, labels });
+    });
+    (farmerStats.pools || []).forEach(pool => {
+      const labels = { launcher_id: pool.launcherId, pool_url: pool.poolUrl };
+      metrics.gauge({ name: 'farmer_pool_difficulty', help: 'Current pool difficulty per plot NFT', value: pool.currentDifficulty, labels });
+      metrics.gauge({ name: 'farmer_pool_points_found_24h', help: 'Points found in the last 24h per plot NFT', value: pool.pointsFound24h, labels });
+      metrics.gauge({ name: 'farmer_pool_points_acknowledged_24h', help: 'Points acknowledged in the last 24h per plot NFT', value: pool.pointsAcknowledged24h, labels });
+      metrics.gauge({ name: 'farmer_pool_partial_error_rate', help: 'Partial error rate in the last 24h per plot NFT', value: pool.partialErrorRate, labels });
+    });
+    // Farming infos are labeled by their position (0 = most recent) to keep the label cardinality bounded
+    (farmerStats.farmingInfos || []).forEach((farmingInfo, index) => {
+      const labels = { index };
+      metrics.gauge({ name: 'farmer_farming_info_passed_filter', help: 'Plots which passed the filter per farming info', value: farmingInfo.passedFilter, labels });
+      metrics.gauge({ name: 'farmer_farming_info_proofs', help: 'Proofs found per farming info', value: farmingInfo.proofs, labels });
+      metrics.gauge({ name: 'farmer_farming_info_total_plots', help: 'Total plots per farming info', value: farmingInfo.totalPlots, labels });
+    });
+  }
+
+  addWalletMetrics(metrics, walletStats) {
+    const syncStatus = walletStats.syncStatus || {};
+    metrics.gauge({ name: 'wallet_synced', help: 'Whether the wallet is synced', value: syncStatus.synced });
+    metrics.gauge({ name: 'wallet_synced_height', help: 'Synced height of the wallet', value: syncStatus.syncedHeight });
+    if (walletStats.farmedAmount) {
+      metrics.gauge({ name: 'wallet_last_height_farmed', help: 'Height of the last farmed block', value: walletStats.farmedAmount.lastHeightFarmed });
+      metrics.gauge({ name: 'wallet_farmed_amount', help: 'Total farmed amount', value: walletStats.farmedAmount.farmedAmount });
+      metrics.gauge({ name: 'wallet_pool_reward_amount', help: 'Total pool reward amount', value: walletStats.farmedAmount.poolRewardAmount });
+      metrics.gauge({ name: 'wallet_fee_amount', help: 'Total fee amount', value: walletStats.farmedAmount.feeAmount });
+      metrics.gauge({ name: 'wallet_blocks_won', help: 'Number of blocks won', value: walletStats.farmedAmount.blocksWon });
+    }
+    if (walletStats.earnings) {
+      metrics.gauge({ name: 'wallet_earnings_last_24_hours', help: 'Farmed amount in the last 24 hours', value: walletStats.earnings.last24Hours });
+      metrics.gauge({ name: 'wallet_earnings_last_7_days', help: 'Farmed amount in the last 7 days', value: walletStats.earnings.last7Days });
+    }
+    (walletStats.wallets || []).forEach(wallet => {
+      const labels = { wallet_id: wallet.id, name: wallet.name, type: wallet.type };
+      metrics.gauge({ name: 'wallet_confirmed_balance', help: 'Confirmed wallet balance', value: wallet.balance.confirmed, labels });
+      metrics.gauge({ name: 'wallet_spendable_balance', help: 'Spendable wallet balance', value: wallet.balance.spendable, labels });
+      metrics.gauge({ name: 'wallet_unconfirmed_balance', help: 'Unconfirmed wallet balance', value: wallet.balance.unconfirmed, labels });
+    });
+  }
+
+  async close() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = new StatusServer();
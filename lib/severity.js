@@ -0,0 +1,12 @@
+const Severity = {
+  info: 'info',
+  warning: 'warning',
+  critical: 'critical',
+}
+
+// Channels without a native notion of severity show it in front of the title
+const getTitleWithSeverity = ({ title, severity }) => severity && severity !== Severity.info
+  ? `[${severity.toUpperCase()}] ${title}`
+  : title
+
+module.exports = { Severity, getTitleWithSeverity }
@@ -0,0 +1,82 @@
+const moment = require('moment');
+
+const LATE_FARMING_INFO_THRESHOLD_IN_MS = 28 * 1000;
+const SLOW_LOOKUP_THRESHOLD_IN_MS = 5 * 1000;
+const TRACKED_CHALLENGES = 10;
+const SIGNAGE_POINTS_PER_SUB_SLOT = 64;
+
+class SignagePointMonitor {
+  constructor() {
+    this.lastSignagePointIndexByChallenge = new Map();
+    this.lastChallenge = null;
+    this.missedSignagePoints = [];
+    this.lateFarmingInfos = [];
+    this.slowLookups = [];
+  }
+
+  recordSignagePoint({ challenge, signagePointIndex }) {
+    if (signagePointIndex === undefined) {
+      return;
+    }
+    const isLateForPreviousChallenge = challenge !== this.lastChallenge && this.lastSignagePointIndexByChallenge.has(challenge);
+    const lastSignagePointIndex = this.lastSignagePointIndexByChallenge.get(challenge);
+    // Repeated signage points and late ones of a previous sub slot do not tell anything about gaps
+    if (isLateForPreviousChallenge || (lastSignagePointIndex !== undefined && signagePointIndex <= lastSignagePointIndex)) {
+      return;
+    }
+    // The gap is measured across sub slot boundaries as well, to also catch stalls when the challenge changes
+    if (this.lastChallenge !== null) {
+      const previousSignagePointIndex = this.lastSignagePointIndexByChallenge.get(this.lastChallenge);
+      const missedCount = (signagePointIndex - previousSignagePointIndex - 1 + SIGNAGE_POINTS_PER_SUB_SLOT) % SIGNAGE_POINTS_PER_SUB_SLOT;
+      if (missedCount > 0) {
+        this.missedSignagePoints.push({ at: new Date(), count: missedCount });
+      }
+    }
+    this.lastChallenge = challenge;
+    this.lastSignagePointIndexByChallenge.set(challenge, signagePointIndex);
+    // Maps iterate in insertion order, so the oldest challenges are dropped first
+    while (this.lastSignagePointIndexByChallenge.size > TRACKED_CHALLENGES) {
+      this.lastSignagePointIndexByChallenge.delete(this.lastSignagePointIndexByChallenge.keys().next().value);
+    }
+    this.pruneEvents();
+  }
+
+  recordFarmingInfo({ responseTime, lookupTime, nodeId }) {
+    if (responseTime !== undefined && responseTime > LATE_FARMING_INFO_THRESHOLD_IN_MS) {
+      this.lateFarmingInfos.push({ at: new Date(), responseTime, nodeId });
+    }
+    if (lookupTime !== undefined && lookupTime > SLOW_LOOKUP_THRESHOLD_IN_MS) {
+      this.slowLookups.push({ at: new Date(), lookupTime, nodeId });
+    }
+    this.pruneEvents();
+  }
+
+  pruneEvents() {
+    const oneHourAgo = moment().subtract(1, 'hour');
+    this.missedSignagePoints = this.missedSignagePoints.filter(event => moment(event.at).isAfter(oneHourAgo));
+    this.lateFarmingInfos = this.lateFarmingInfos.filter(event => moment(event.at).isAfter(oneHourAgo));
+    this.slowLookups = this.slowLookups.filter(event => moment(event.at).isAfter(oneHourAgo));
+  }
+
+  getStats() {
+    this.pruneEvents();
+    const slowHarvesters = new Map();
+    this.slowLookups
+      .filter(event => event.nodeId)
+      .forEach(event => {
+        const slowHarvester = slowHarvesters.get(event.nodeId) || { nodeId: event.nodeId, slowLookups: 0, worstLookupTime: 0 };
+        slowHarvester.slowLookups += 1;
+        slowHarvester.worstLookupTime = Math.max(slowHarvester.worstLookupTime, event.lookupTime);
+        slowHarvesters.set(event.nodeId, slowHarvester);
+      });
+
+    return {
+      missedSignagePointsLastHour: this.missedSignagePoints.reduce((acc, event) => acc + event.count, 0),
+      lateFarmingInfosLastHour: this.lateFarmingInfos.length,
+      slowLookupsLastHour: this.slowLookups.length,
+      slowHarvesters: Array.from(slowHarvesters.values()),
+    };
+  }
+}
+
+module.exports = SignagePointMonitor;
@@ -0,0 +1,212 @@
+const BigNumber = require('bignumber.js');
+const moment = require('moment');
+
+const Capacity = require('../capacity');
+
+const serviceTitles = {
+  fullNode: 'Full Node',
+  farmer: 'Farmer',
+  harvester: 'Harvester',
+  wallet: 'Wallet',
+  plotter: 'Plotter',
+};
+
+const formatNumber = number => new BigNumber(number || 0).toFormat();
+const formatDuration = seconds => seconds ? moment.duration(seconds, 'seconds').humanize() : 'N/A';
+const formatSigned = (value, format) => `${value.isNegative() ? '-' : '+'}${format(value.abs())}`;
+const formatPercent = percent => percent !== null ? `${percent}%` : 'N/A';
+
+const getFullNodeItems = fullNodeStats => {
+  const blockchainState = fullNodeStats.blockchainState || {};
+  const syncStatus = blockchainState.syncStatus || {};
+
+  return [
+    { name: 'Synced', value: syncStatus.synced ? 'Yes' : 'No' },
+    { name: 'Synced height', value: syncStatus.syncedHeight !== undefined ? formatNumber(syncStatus.syncedHeight) : 'N/A' },
+    { name: 'Netspace', value: blockchainState.spaceInGib ? new Capacity(blockchainState.spaceInGib).toString() : 'N/A' },
+    { name: 'Peer connections', value: formatNumber(fullNodeStats.fullNodeConnectionsCount) },
+  ];
+};
+
+const getFarmerItems = farmerStats => {
+  const farmingInfos = farmerStats.farmingInfos || [];
+  const farmingEconomics = farmerStats.farmingEconomics || {};
+  const signagePointHealth = farmerStats.signagePointHealth || {};
+
+  return [
+    { name: 'Total plots', value: formatNumber(farmerStats.totalPlotCount) },
+    { name: 'Recent plots passed filter', value: farmingInfos.length > 0 ? formatNumber(farmingInfos[0].passedFilter) : 'N/A' },
+    { name: 'Average plots passed filter (last 30 min)', value: new BigNumber(farmerStats.avgPassedFilter || 0).toFixed(2) },
+    { name: 'Expected time to win', value: formatDuration(farmingEconomics.expectedTimeToWinInSeconds) },
+    { name: 'Expected reward per day', value: farmingEconomics.expectedRewardPerDay ? new BigNumber(farmingEconomics.expectedRewardPerDay).toFixed(6) : 'N/A' },
+    {
+      name: 'Estimated effective capacity',
+      value: farmingEconomics.estimatedEffectiveCapacityInGib ? new Capacity(farmingEconomics.estimatedEffectiveCapacityInGib).toString() : 'N/A',
+    },
+    { name: 'Missed signage points (last hour)', value: formatNumber(signagePointHealth.missedSignagePointsLastHour) },
+    { name: 'Late farming infos (last hour)', value: formatNumber(signagePointHealth.lateFarmingInfosLastHour) },
+  ];
+};
+
+const getHarvesterItems = harvesterStats => {
+  const items = [
+    { name: 'Plots', value: formatNumber(harvesterStats.plotCount) },
+    { name: 'Raw capacity', value: new Capacity(harvesterStats.totalRawPlotCapacityInGib || 0).toString() },
+    { name: 'Effective capacity', value: new Capacity(harvesterStats.totalEffectivePlotCapacityInGib || 0).toString() },
+    { name: 'Farmer connections', value: formatNumber(harvesterStats.farmerConnectionsCount) },
+  ];
+  const inventory = harvesterStats.inventory;
+  if (!inventory) {
+    return items;
+  }
+
+  return items.concat([
+    { name: 'Failed to open plots', value: formatNumber(inventory.failedToOpenPlots.length) },
+  ], inventory.duplicatePlots ? [
+    { name: 'Duplicate plots', value: formatNumber(inventory.duplicatePlots.length) },
+  ] : [], [
+    { name: 'Plots without keys', value: formatNumber(inventory.noKeyPlots.length) },
+  ], inventory.disks.map(disk => ({ name: `Disk ${disk.path}`, value: `${formatNumber(disk.plotCount)} plots` })));
+};
+
+const getWalletItems = walletStats => {
+  const farmedAmount = walletStats.farmedAmount || {};
+  const earnings = walletStats.earnings || {};
+
+  return (walletStats.wallets || []).map(wallet => ({
+    name: `${wallet.name} (${wallet.id})`,
+    value: `${wallet.balance.confirmed} confirmed, ${wallet.balance.spendable} spendable`,
+  })).concat([
+    { name: 'Total farmed', value: farmedAmount.farmedAmount || 'N/A' },
+    { name: 'Blocks won', value: farmedAmount.blocksWon !== undefined ? formatNumber(farmedAmount.blocksWon) : 'N/A' },
+    { name: 'Earnings (last 24 hours)', value: earnings.last24Hours || 'N/A' },
+    { name: 'Earnings (last 7 days)', value: earnings.last7Days || 'N/A' },
+  ]);
+};
+
+const getPlotterItems = plotterStats => {
+  const completedPlots = plotterStats.completedPlots || { last24Hours: {} };
+  const jobs = plotterStats.jobs || [];
+
+  return [
+    { name: 'Plots completed (last 24 hours)', value: formatNumber(completedPlots.last24Hours.count) },
+    { name: 'Average plot time (last 24 hours)', value: formatDuration(completedPlots.last24Hours.averageDurationInSeconds) },
+    { name: 'Jobs', value: formatNumber(jobs.length) },
+  ].concat(jobs.map(job => {
+    const details = [job.state];
+    if (job.phase) {
+      details.push(`phase ${job.phase}`);
+    }
+    if (job.progress !== undefined && job.progress !== null) {
+      details.push(`${(job.progress * 100).toFixed(1)}%`);
+    }
+    if (job.etaInSeconds) {
+      details.push(`done in ${formatDuration(job.etaInSeconds)}`);
+    }
+
+    return {
+      name: `Job ${job.id.slice(0, 8)} (${[job.kSize ? `k${job.kSize}` : null, job.plotter].filter(Boolean).join(', ')})`,
+      value: details.join(', '),
+    };
+  }));
+};
+
+const getUptimeItems = uptime => {
+  if (!uptime) {
+    return [];
+  }
+  const items = [
+    { name: 'Uptime (last 24 hours)', value: formatPercent(uptime.uptimePercent.last24Hours) },
+    { name: 'Uptime (last 7 days)', value: formatPercent(uptime.uptimePercent.last7Days) },
+  ];
+  if (!uptime.lastStateChangeAt) {
+    return items;
+  }
+  const lastStateChangeAt = moment(uptime.lastStateChangeAt);
+
+  return [{
+    name: uptime.isRunning ? 'Up since' : 'Down since',
+    value: `${lastStateChangeAt.format('YYYY-MM-DD HH:mm')} (${lastStateChangeAt.fromNow()})`,
+  }].concat(items);
+};
+
+const getItemsForService = {
+  fullNode: getFullNodeItems,
+  farmer: getFarmerItems,
+  harvester: getHarvesterItems,
+  wallet: getWalletItems,
+  plotter: getPlotterItems,
+};
+
+// The values deltas are computed from, persisted after every report so restarts do not reset them
+const getSnapshot = ({ stats }) => {
+  const { farmer = {}, harvester = {}, wallet = {} } = stats;
+  const farmedAmount = wallet.farmedAmount || {};
+
+  return {
+    createdAt: new Date().toISOString(),
+    plotCount: harvester.plotCount !== undefined ? harvester.plotCount : farmer.totalPlotCount,
+    effectiveCapacityInGib: harvester.totalEffectivePlotCapacityInGib,
+    farmedAmount: farmedAmount.farmedAmount,
+    blocksWon: farmedAmount.blocksWon,
+  };
+};
+
+const getDeltaItems = ({ snapshot, previousSnapshot, proofsFound }) => {
+  const items = [{ name: 'Proofs found', value: formatNumber(proofsFound) }];
+  if (!previousSnapshot) {
+    return items;
+  }
+  const hasValues = key => snapshot[key] !== undefined && snapshot[key] !== null
+    && previousSnapshot[key] !== undefined && previousSnapshot[key] !== null;
+  const getDelta = key => new BigNumber(snapshot[key]).minus(previousSnapshot[key]);
+  if (hasValues('plotCount')) {
+    items.push({ name: 'Plots', value: formatSigned(getDelta('plotCount'), value => value.toFormat()) });
+  }
+  if (hasValues('effectiveCapacityInGib')) {
+    items.push({ name: 'Effective capacity', value: formatSigned(getDelta('effectiveCapacityInGib'), value => new Capacity(value).toString()) });
+  }
+  if (hasValues('farmedAmount')) {
+    items.push({ name: 'Farmed', value: formatSigned(getDelta('farmedAmount'), value => value.toString()) });
+  }
+  if (hasValues('blocksWon')) {
+    items.push({ name: 'Blocks won', value: formatSigned(getDelta('blocksWon'), value => value.toFormat()) });
+  }
+
+  return items;
+};
+
+const buildSummaryReport = ({ nodeId, label, enabledServices, isServiceRunning, getUptime = () => null, stats, previousSnapshot, proofsFound = 0 }) => {
+  const snapshot = getSnapshot({ stats });
+  const sections = Object.keys(serviceTitles)
+    .filter(service => enabledServices.includes(service))
+    .map(service => {
+      // The plotter is only reported as running while plotting
+      const isRunning = service === 'plotter' ? !!stats.plotter : isServiceRunning(service);
+
+      const serviceItems = isRunning ? getItemsForService[service](stats[service] || {}) : [{ name: 'Status', value: 'Not running' }];
+
+      return {
+        service,
+        title: serviceTitles[service],
+        isRunning,
+        items: serviceItems.concat(getUptimeItems(getUptime(service))),
+      };
+    });
+
+  return {
+    nodeId,
+    label,
+    generatedAt: snapshot.createdAt,
+    previousReportAt: previousSnapshot ? previousSnapshot.createdAt : null,
+    deltas: {
+      title: previousSnapshot ? `Since the last report (${moment(previousSnapshot.createdAt).fromNow()})` : 'Since the start',
+      items: getDeltaItems({ snapshot, previousSnapshot, proofsFound }),
+    },
+    sections,
+    stats,
+    snapshot,
+  };
+};
+
+module.exports = { buildSummaryReport, serviceTitles };
@@ -0,0 +1,30 @@
+const { escape, template } = require('lodash');
+
+const getParts = report => [report.deltas].concat(report.sections);
+const getHeader = (report, format) => report.nodeId ? [format(report.nodeId)] : [];
+
+const renderText = report => getHeader(report, nodeId => nodeId)
+  .concat(getParts(report).map(part => [part.title].concat(part.items.map(item => `- ${item.name}: ${item.value}`)).join('\n')))
+  .join('\n\n');
+
+const renderMarkdown = report => getHeader(report, nodeId => `**${nodeId}**`)
+  .concat(getParts(report).map(part => [`### ${part.title}`].concat(part.items.map(item => `- **${item.name}:** ${item.value}`)).join('\n')))
+  .join('\n\n');
+
+const renderHtml = report => {
+  const header = getHeader(report, nodeId => `<h2 style="margin: 0;">${escape(nodeId)}</h2>`);
+  const parts = getParts(report).map(part => {
+    const rows = part.items
+      .map(item => `<tr><td style="padding: 2px 16px 2px 0; color: #555;">${escape(item.name)}</td><td style="padding: 2px 0;">${escape(item.value)}</td></tr>`)
+      .join('');
+
+    return `<h3 style="margin: 16px 0 4px;">${escape(part.title)}</h3><table style="border-collapse: collapse;">${rows}</table>`;
+  });
+
+  return `<div style="font-family: sans-serif; font-size: 14px;">${header.concat(parts).join('')}</div>`;
+};
+
+// User templates use the lodash template syntax and receive the report as data, eg. <%- nodeId %>
+const renderTemplate = ({ templateString, report }) => template(templateString)(report);
+
+module.exports = { renderText, renderMarkdown, renderHtml, renderTemplate };
@@ -0,0 +1,146 @@
+const { promises: fs } = require('fs');
+const moment = require('moment');
+
+const retentionInDays = 7;
+const saveIntervalInMinutes = 10;
+// The state of the services is unknown for the time the satellite was not running
+const unobservedGapInMinutes = 5;
+
+const getLastKnownPeriod = periods => [...periods].reverse().find(period => period.isRunning !== null);
+
+class UptimeTracker {
+  constructor({ stateFilePath }) {
+    this.stateFilePath = stateFilePath;
+    this.services = {};
+    this.lastObservedAt = null;
+    this.lastSavedAt = null;
+    this.hasObservedSinceStart = false;
+  }
+
+  async init() {
+    try {
+      const { services, lastObservedAt } = JSON.parse(await fs.readFile(this.stateFilePath, 'utf8'));
+      this.services = services || {};
+      this.lastObservedAt = lastObservedAt || null;
+    } catch (err) {
+      // Start over when the state is missing or corrupted
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+        throw err;
+      }
+    }
+  }
+
+  // Returns the services which changed their state since the last known one
+  async update(runningStates, date = new Date()) {
+    const isResumingAfterGap = !this.hasObservedSinceStart
+      && this.lastObservedAt !== null
+      && moment(date).diff(this.lastObservedAt, 'minutes') >= unobservedGapInMinutes;
+    const changes = [];
+    Object.keys(runningStates).forEach(service => {
+      const isRunning = runningStates[service];
+      const periods = this.services[service] || [];
+      this.services[service] = periods;
+      const currentPeriod = periods[periods.length - 1];
+      if (isResumingAfterGap && currentPeriod && currentPeriod.isRunning !== null) {
+        periods.push({ isRunning: null, startedAt: this.lastObservedAt });
+      }
+      const lastKnownPeriod = getLastKnownPeriod(periods);
+      const previousStateChangeAt = this.getLastStateChangeAt(service);
+      if (periods.length === 0 || periods[periods.length - 1].isRunning !== isRunning) {
+        periods.push({ isRunning, startedAt: date.toISOString() });
+      }
+      if (lastKnownPeriod && lastKnownPeriod.isRunning !== isRunning) {
+        changes.push({ service, isRunning, previousStateChangeAt });
+      }
+    });
+    this.hasObservedSinceStart = true;
+    this.lastObservedAt = date.toISOString();
+    this.applyRetention(date);
+    const isSaveDue = !this.lastSavedAt || moment(date).diff(this.lastSavedAt, 'minutes') >= saveIntervalInMinutes;
+    if (changes.length > 0 || isSaveDue) {
+      await this.save(date);
+    }
+
+    return changes;
+  }
+
+  applyRetention(date) {
+    const retentionStart = moment(date).subtract(retentionInDays, 'days');
+    Object.values(this.services).forEach(periods => {
+      // Keep the period which was active at the start of the retention
+      while (periods.length > 1 && moment(periods[1].startedAt).isSameOrBefore(retentionStart)) {
+        periods.shift();
+      }
+    });
+  }
+
+  async save(date) {
+    await fs.writeFile(this.stateFilePath, JSON.stringify({ services: this.services, lastObservedAt: this.lastObservedAt }), 'utf8');
+    this.lastSavedAt = date;
+  }
+
+  // The start of the current state, unknown periods in between are skipped
+  getLastStateChangeAt(service) {
+    const periods = this.services[service] || [];
+    const lastKnownPeriod = getLastKnownPeriod(periods);
+    if (!lastKnownPeriod) {
+      return null;
+    }
+    let lastStateChangeAt = lastKnownPeriod.startedAt;
+    for (let index = periods.indexOf(lastKnownPeriod) - 1; index >= 0; index -= 1) {
+      if (periods[index].isRunning === null) {
+        continue;
+      }
+      if (periods[index].isRunning !== lastKnownPeriod.isRunning) {
+        break;
+      }
+      lastStateChangeAt = periods[index].startedAt;
+    }
+
+    return lastStateChangeAt;
+  }
+
+  // Only the time in which the state was known counts
+  getUptimePercent(service, from, to = moment()) {
+    const periods = this.services[service] || [];
+    let runningInMs = 0;
+    let knownInMs = 0;
+    periods.forEach((period, index) => {
+      const nextPeriod = periods[index + 1];
+      const start = moment.max(moment(period.startedAt), moment(from));
+      const end = moment.min(moment(nextPeriod ? nextPeriod.startedAt : this.lastObservedAt), moment(to));
+      if (period.isRunning === null || !end.isAfter(start)) {
+        return;
+      }
+      knownInMs += end.diff(start);
+      if (period.isRunning) {
+        runningInMs += end.diff(start);
+      }
+    });
+    if (knownInMs === 0) {
+      return null;
+    }
+
+    return Math.round((runningInMs / knownInMs) * 10000) / 100;
+  }
+
+  getStats(service) {
+    const periods = this.services[service];
+    if (!periods || periods.length === 0) {
+      return null;
+    }
+    const lastKnownPeriod = getLastKnownPeriod(periods);
+    const now = moment();
+
+    return {
+      isRunning: lastKnownPeriod ? lastKnownPeriod.isRunning : null,
+      lastStateChangeAt: this.getLastStateChangeAt(service),
+      uptimePercent: {
+        last24Hours: this.getUptimePercent(service, moment(now).subtract(1, 'day'), now),
+        last7Days: this.getUptimePercent(service, moment(now).subtract(7, 'days'), now),
+      },
+    };
+  }
+}
+
+module.exports = UptimeTracker;
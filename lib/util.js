@@ -1,11 +1,20 @@
 const moment = require('moment');
 const BigNumber = require('bignumber.js')
+const { cloneDeep, isArray, mergeWith } = require('lodash')
 
 const plottingTimestampRegex = /([0-9]+-[0-9]+-[0-9]+T[0-9]+:[0-9]+:[0-9]+\.[0-9]+)/
-const FINISHED_LOG_LINES_128_BUCKETS = 2626
 const K32_ACTUAL_SPACE_CONSTANT_FACTOR = new BigNumber('0.7797')
 const K_SIZE_ACTUAL_SPACE_CONSTANT_FACTOR_DECREMENT = new BigNumber('0.0004489')
 const getActualSpaceConstantFactor = (kSize) => K32_ACTUAL_SPACE_CONSTANT_FACTOR.minus(K_SIZE_ACTUAL_SPACE_CONSTANT_FACTOR_DECREMENT.multipliedBy(kSize - 32))
+// Approximate k32 bladebit file sizes in GiB per compression level, C0 being uncompressed
+const K32_COMPRESSED_PLOT_SIZES_IN_GIB = [101.4, 87.5, 86.0, 84.4, 82.8, 81.2, 79.6, 78.0]
+const COMPRESSED_PLOT_SIZE_TOLERANCE_IN_GIB = 0.7
+const UNCOMPRESSED_PLOT_SIZE_RATIO_THRESHOLD = 0.95
+const getUncompressedPlotFileSizeInBytes = (kSize) => (new BigNumber(K32_COMPRESSED_PLOT_SIZES_IN_GIB[0]))
+  .multipliedBy((new BigNumber(1024)).exponentiatedBy(3))
+  .multipliedBy((new BigNumber(2)).exponentiatedBy(kSize - 32))
+  .multipliedBy(kSize * 2 + 1)
+  .dividedBy(65)
 
 const util = {
   extractFirstLineOfLog: (logString) => {
@@ -27,20 +36,23 @@ const util = {
       }
     }
   },
-  getProgressOfJob: ({ job, log }) => {
+  getProgressOfJob: ({ job, parsedLog }) => {
     if (job.state === 'SUBMITTED') {
       return 0;
     }
     if (job.state === 'FINISHED') {
       return 1;
     }
-    if (!log) {
-      return 0;
+
+    return parsedLog ? parsedLog.progress : 0;
+  },
+  getEtaOfJobInSeconds: ({ startedAt, progress }) => {
+    if (!startedAt || !progress || progress >= 1) {
+      return null;
     }
-    // Get rid of this shit asap
-    const lines = log.trim().split(/\r\n|\r|\n/).length;
+    const elapsedSeconds = moment().diff(startedAt, 'seconds', true);
 
-    return lines > FINISHED_LOG_LINES_128_BUCKETS ? 1 : lines / FINISHED_LOG_LINES_128_BUCKETS;
+    return Math.round(elapsedSeconds / progress - elapsedSeconds);
   },
   getEffectivePlotSizeInBytes: (kSize) => {
     return (new BigNumber(kSize))
@@ -49,6 +61,47 @@ const util = {
       .multipliedBy((new BigNumber(2)).exponentiatedBy(kSize - 1))
       .multipliedBy(getActualSpaceConstantFactor(kSize))
   },
+  // Harvesters which are not compression aware do not report a compression level, estimate it from the file size then.
+  // Only k32 bladebit sizes are known, other compressed plots have an unknown (null) level.
+  getCompressionLevelOfPlot: (plot) => {
+    if (typeof plot.compression_level === 'number') {
+      return plot.compression_level
+    }
+    const ratio = new BigNumber(plot.file_size).dividedBy(getUncompressedPlotFileSizeInBytes(plot.size)).toNumber()
+    if (!Number.isFinite(ratio)) {
+      return null
+    }
+    if (ratio >= UNCOMPRESSED_PLOT_SIZE_RATIO_THRESHOLD) {
+      return 0
+    }
+    if (plot.size !== 32) {
+      return null
+    }
+    const sizeInGib = new BigNumber(plot.file_size).dividedBy((new BigNumber(1024)).exponentiatedBy(3)).toNumber()
+    const compressionLevel = K32_COMPRESSED_PLOT_SIZES_IN_GIB
+      .findIndex((compressedSizeInGib, level) => level > 0 && Math.abs(compressedSizeInGib - sizeInGib) <= COMPRESSED_PLOT_SIZE_TOLERANCE_IN_GIB)
+
+    return compressionLevel !== -1 ? compressionLevel : null
+  },
+  // Merges partial service stats, arrays are replaced instead of merged and a null service marks it as deleted
+  mergePartialStats: (stats, partialStats) => {
+    const mergedStats = cloneDeep(stats)
+    Object.keys(partialStats).forEach(service => {
+      const servicePartialStats = partialStats[service] === undefined ? {} : cloneDeep(partialStats[service])
+      if (servicePartialStats === null || !mergedStats[service]) {
+        mergedStats[service] = servicePartialStats
+
+        return
+      }
+      mergedStats[service] = mergeWith(mergedStats[service], servicePartialStats, (objValue, srcValue) => {
+        if (isArray(objValue)) {
+          return srcValue
+        }
+      })
+    })
+
+    return mergedStats
+  },
 }
 
 module.exports = util
@@ -1,24 +1,55 @@
 #!/usr/bin/env node
 
+const { parseArgs, usage } = require('./lib/cli');
 const config = require('./lib/service/config');
 const firstRunWizard = require('./lib/service/first-run-wizard');
-const statsCollection = require('./lib/service/stats-collection');
-const logger = require('./lib/service/logger');
-const chiaDashboardUpdater = require('./lib/service/chia-dashboard-updater');
-const version = require('./lib/version');
+
+const commands = {
+  start: require('./lib/commands/start'),
+  status: require('./lib/commands/status'),
+  'test-notify': require('./lib/commands/test-notify'),
+  'config validate': require('./lib/commands/validate-config'),
+  setup: require('./lib/commands/setup'),
+};
 
 (async () => {
-  await config.init();
-  if (!config.configExists) {
-    await firstRunWizard.run();
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage}`);
+    process.exit(1);
+  }
+  const { command, options } = args;
+  if (options.help) {
+    console.log(usage);
+    process.exit(0);
+  }
+  if (options.configFilePath) {
+    config.setConfigFilePath(options.configFilePath);
+  }
+  try {
+    await config.init();
+  } catch (err) {
+    console.error(`Could not load the config at ${config.configFilePath}: ${err.message}`);
+    process.exit(1);
+  }
+  if (command !== 'start' && command !== 'setup' && !config.configExists && !config.hasEnvironmentOverrides) {
+    console.error(`No config found at ${config.configFilePath}, run the setup first`);
+    process.exit(1);
+  }
+  let exitCode;
+  try {
+    if (command !== 'setup' && !config.configExists && config.hasEnvironmentOverrides) {
+      await firstRunWizard.runNonInteractive();
+    }
+    exitCode = await commands[command]();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  // The satellite itself keeps running
+  if (command !== 'start') {
+    process.exit(exitCode || 0);
   }
-  logger.log({ level: 'info', msg: `Config loaded from ${config.configFilePath} successfully` });
-  await chiaDashboardUpdater.init();
-  await statsCollection.init();
-  logger.log({ level: 'info', msg: `Chia-Dashboard-Satellite ${version} initialized` });
-
-  process.on('SIGINT', async () => {
-    await statsCollection.closeDaemonConnection();
-    process.exit();
-  });
 })();
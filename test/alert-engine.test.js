@@ -0,0 +1,142 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+const moment = require('moment');
+
+const { AlertEngine, alertTypes } = require('../lib/alert-engine');
+const { EventType } = require('../lib/event-type');
+
+const alertConditions = {
+  passedFilterTimeout: 60,
+  plotDropThresholdPercent: 10,
+  plotDropBaselineWindowInMinutes: 60,
+  plotDropResettleAfterInMinutes: 360,
+  harvesterResponseTimeThreshold: 60000,
+  poolPartialErrorRatePercent: 10,
+  missedSignagePointsThreshold: 5,
+  harvesterOfflineTimeoutInMinutes: 5,
+  harvesterForgetAfterInHours: 24,
+};
+
+const secondsAgo = seconds => moment().subtract(seconds, 'seconds').toDate();
+
+describe('AlertEngine', () => {
+  let notifications;
+  let alertEngine;
+
+  beforeEach(() => {
+    notifications = [];
+    alertEngine = new AlertEngine({
+      sendNotification: async notification => notifications.push(notification),
+      getAlertConditions: () => alertConditions,
+      getNodeId: () => 'node',
+    });
+  });
+
+  describe('getPlotCount', () => {
+    it('prefers the plot count of the local harvester', () => {
+      const plotCount = alertEngine.getPlotCount({
+        harvesterStats: { plotCount: 10 },
+        farmerStats: { farmingInfos: [{ totalPlots: 20, receivedAt: secondsAgo(60) }] },
+      });
+
+      assert.strictEqual(plotCount, 10);
+    });
+
+    it('uses the highest plot count of the farming infos all harvesters had time to answer', () => {
+      const plotCount = alertEngine.getPlotCount({
+        farmerStats: {
+          farmingInfos: [
+            { totalPlots: 3, receivedAt: secondsAgo(2) },
+            { totalPlots: 100, receivedAt: secondsAgo(40) },
+            { totalPlots: 60, receivedAt: secondsAgo(50) },
+          ],
+        },
+      });
+
+      assert.strictEqual(plotCount, 100);
+    });
+
+    it('has no plot count while no farming info is settled', () => {
+      const plotCount = alertEngine.getPlotCount({
+        farmerStats: {
+          farmingInfos: [
+            { totalPlots: 0, receivedAt: secondsAgo(2) },
+            { totalPlots: 0, receivedAt: secondsAgo(60) },
+          ],
+        },
+      });
+
+      assert.strictEqual(plotCount, undefined);
+    });
+  });
+
+  describe('plot drop', () => {
+    it('fires when the plot count drops below the baseline and resolves on recovery', async () => {
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 100 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 80 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 80 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 100 } });
+
+      assert.deepStrictEqual(notifications.map(notification => notification.type), [EventType.alert, EventType.alertResolved]);
+      assert.match(notifications[0].body, /dropped to 80 from a baseline of 100/);
+    });
+
+    it('does not fire for drops below the threshold', async () => {
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 100 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 95 } });
+
+      assert.strictEqual(notifications.length, 0);
+    });
+
+    it('accepts the lower plot count as the new baseline after the re-settle time', async () => {
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 100 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 50 } });
+      alertEngine.plotDropStartedAt = moment().subtract(alertConditions.plotDropResettleAfterInMinutes, 'minutes').toDate();
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 50 } });
+      await alertEngine.evaluate({ harvesterStats: { plotCount: 50 } });
+
+      assert.deepStrictEqual(notifications.map(notification => notification.type), [EventType.alert, EventType.alertResolved]);
+      assert.match(notifications[1].body, /50 is the new baseline/);
+      assert.strictEqual(alertEngine.getPlotCountBaseline(), 50);
+    });
+  });
+
+  describe('passed filter timeout', () => {
+    const evaluate = () => alertEngine.evaluatePassedFilterTimeout({ alertConditions });
+
+    it('does not fire right after the start', () => {
+      assert.strictEqual(evaluate().isFiring, false);
+    });
+
+    it('fires when nothing passed the filter since the start', () => {
+      alertEngine.startedAt = secondsAgo(alertConditions.passedFilterTimeout);
+      alertEngine.recordFarmingInfo({ passedFilter: 0 });
+
+      assert.strictEqual(evaluate().isFiring, true);
+    });
+
+    it('uses the last passed filter event regardless of the number of farming infos kept', () => {
+      alertEngine.startedAt = secondsAgo(3600);
+      alertEngine.recordFarmingInfo({ passedFilter: 2 });
+
+      assert.strictEqual(evaluate().isFiring, false);
+
+      alertEngine.lastPassedFilterAt = secondsAgo(alertConditions.passedFilterTimeout);
+
+      assert.strictEqual(evaluate().isFiring, true);
+    });
+  });
+
+  describe('harvesters', () => {
+    it('resolves the offline alert of harvesters which are no longer tracked', async () => {
+      const harvester = { nodeId: 'abc', host: '10.0.0.2', plotCount: 10, isConnected: false, lastSeen: secondsAgo(60) };
+      await alertEngine.evaluate({ farmerStats: { harvesters: [harvester] } });
+      await alertEngine.evaluate({ farmerStats: { harvesters: [] } });
+
+      const harvesterNotifications = notifications.filter(notification => notification.title.includes('Harvester disappeared'));
+      assert.deepStrictEqual(harvesterNotifications.map(notification => notification.type), [EventType.alert, EventType.alertResolved]);
+      assert.match(harvesterNotifications[1].body, /abc is no longer tracked/);
+      assert.strictEqual(alertEngine.activeAlerts.has(`${alertTypes.harvesterOffline}-abc`), false);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { migrateConfig, currentConfigVersion } = require('../lib/config-migrations');
+
+describe('migrateConfig', () => {
+  it('moves the legacy email settings to the notifiers list', () => {
+    const { config, hasChanged, fromVersion } = migrateConfig({
+      emailNotificationsEnabled: true,
+      emailService: 'gmail',
+      senderEmail: 'sender@example.com',
+      senderPassword: 'secret',
+      recipientEmail: 'recipient@example.com',
+      notifiers: [{ type: 'ntfy', topic: 'chia' }],
+    });
+
+    assert.strictEqual(hasChanged, true);
+    assert.strictEqual(fromVersion, 0);
+    assert.deepStrictEqual(config, {
+      notifiers: [{
+        type: 'email',
+        name: 'email',
+        enabled: true,
+        service: 'gmail',
+        senderEmail: 'sender@example.com',
+        senderPassword: 'secret',
+        recipientEmail: 'recipient@example.com',
+      }, { type: 'ntfy', topic: 'chia' }],
+      configVersion: currentConfigVersion,
+    });
+  });
+
+  it('removes the LINE Notify settings and warns when they were enabled', () => {
+    const { config, warnings } = migrateConfig({ lineNotificationsEnabled: true, lineNotifyAccessToken: 'token' });
+
+    assert.deepStrictEqual(config, { configVersion: currentConfigVersion });
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /LINE Notify has been shut down/);
+  });
+
+  it('keeps the first dashboard of the fallback key pairs', () => {
+    const { config, warnings } = migrateConfig({
+      chiaDashboardCoreUrlKeyPairs: [
+        { chiaDashboardCoreUrl: 'https://first.example.com', apiKey: 'first' },
+        { chiaDashboardCoreUrl: 'https://second.example.com', apiKey: 'second' },
+      ],
+    });
+
+    assert.deepStrictEqual(config, {
+      apiKey: 'first',
+      chiaDashboardCoreUrl: 'https://first.example.com',
+      configVersion: currentConfigVersion,
+    });
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /only https:\/\/first\.example\.com is used/);
+  });
+
+  it('replaces the summary report interval with a named summary report', () => {
+    const { config } = migrateConfig({ summaryReportInterval: 60 });
+
+    assert.deepStrictEqual(config, {
+      summaryReports: [{ name: 'periodic', intervalInMinutes: 60 }],
+      configVersion: currentConfigVersion,
+    });
+  });
+
+  it('leaves configs in the current layout untouched', () => {
+    const original = { apiKey: 'key', notifiers: [] };
+    const { config, hasChanged } = migrateConfig(original);
+
+    assert.strictEqual(hasChanged, false);
+    assert.strictEqual(config, original);
+  });
+
+  it('skips migrations which were already applied', () => {
+    const { hasChanged, fromVersion } = migrateConfig({ configVersion: currentConfigVersion, summaryReportInterval: 60 });
+
+    assert.strictEqual(hasChanged, false);
+    assert.strictEqual(fromVersion, currentConfigVersion);
+  });
+
+  it('does not modify the passed config', () => {
+    const original = { summaryReportInterval: 60 };
+    migrateConfig(original);
+
+    assert.deepStrictEqual(original, { summaryReportInterval: 60 });
+  });
+
+  it('passes invalid configs through for the schema validation', () => {
+    const { config, hasChanged } = migrateConfig(null);
+
+    assert.strictEqual(config, null);
+    assert.strictEqual(hasChanged, false);
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { applyConfigSchema } = require('../lib/config-schema');
+
+describe('applyConfigSchema', () => {
+  it('applies the defaults of nested objects', () => {
+    const { value, errors, warnings } = applyConfigSchema({});
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(value.alertConditions.plotDropThresholdPercent, 10);
+    assert.strictEqual(value.notifications.digest.intervalInMinutes, 60);
+    assert.strictEqual(value.history.retentionInDays.day, 365);
+    assert.strictEqual(value.notifications.quietHours, null);
+  });
+
+  it('keeps configured values over the defaults', () => {
+    const { value } = applyConfigSchema({ alertConditions: { plotDropThresholdPercent: 25 } });
+
+    assert.strictEqual(value.alertConditions.plotDropThresholdPercent, 25);
+    assert.strictEqual(value.alertConditions.plotDropBaselineWindowInMinutes, 60);
+  });
+
+  it('reports type, range and enum errors with the path of the key', () => {
+    const { errors } = applyConfigSchema({
+      responseTimeSampleSize: 'many',
+      alertConditions: { plotDropThresholdPercent: 150 },
+      excludedServices: ['farmer', 'timelord'],
+    });
+
+    assert.deepStrictEqual(errors, [
+      'excludedServices[1]: expected one of fullNode, wallet, farmer, harvester, plotter but got string "timelord"',
+      'responseTimeSampleSize: expected an integer but got string "many"',
+      'alertConditions.plotDropThresholdPercent: must be at most 100 but got 150',
+    ]);
+  });
+
+  it('reports invalid formats', () => {
+    const { errors } = applyConfigSchema({
+      chiaDashboardCoreUrl: 'not a url',
+      summaryReports: [{ name: 'daily', schedule: '0 8 * *', timezone: 'Mars/Olympus' }],
+      notifications: { quietHours: { start: '25:00', end: '07:00' } },
+    });
+
+    assert.deepStrictEqual(errors, [
+      'chiaDashboardCoreUrl: string "not a url" is not a valid url',
+      'summaryReports[0].schedule: string "0 8 * *" is not a valid cron expression',
+      'summaryReports[0].timezone: string "Mars/Olympus" is not a valid timezone',
+      'notifications.quietHours.start: string "25:00" is not a valid time of day (HH:mm)',
+    ]);
+  });
+
+  it('validates notifiers against the properties of their type', () => {
+    const { errors } = applyConfigSchema({
+      notifiers: [
+        { type: 'telegram', botToken: 'token' },
+        { type: 'pigeon' },
+        { type: 'telegram', botToken: 'token', chatId: 12345 },
+      ],
+    });
+
+    assert.deepStrictEqual(errors, [
+      'notifiers[0].chatId: is required',
+      'notifiers[1].type: expected one of email, telegram, discord, slack, ntfy, gotify, webhook but got string "pigeon"',
+    ]);
+  });
+
+  it('warns about unknown keys but keeps them', () => {
+    const { value, errors, warnings } = applyConfigSchema({ statusServer: { enabled: true, colour: 'blue' } });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, ['statusServer.colour: unknown key, it is ignored']);
+    assert.strictEqual(value.statusServer.colour, 'blue');
+  });
+
+  it('rejects configs which are not a mapping', () => {
+    const { value, errors } = applyConfigSchema(['apiKey']);
+
+    assert.deepStrictEqual(value, {});
+    assert.deepStrictEqual(errors, ['The config must be a mapping of keys to values but got an array']);
+  });
+});
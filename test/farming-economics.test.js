@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { getFarmingEconomics, getBlockReward, getPlotFilter } = require('../lib/farming-economics');
+
+describe('farming economics', () => {
+  it('halves the block reward and the plot filter at their mainnet heights', () => {
+    assert.strictEqual(getBlockReward(1000).toString(), '2');
+    assert.strictEqual(getBlockReward(5045760).toString(), '1');
+    assert.strictEqual(getBlockReward(20183040).toString(), '0.125');
+    assert.strictEqual(getPlotFilter(1000), 512);
+    assert.strictEqual(getPlotFilter(5496000), 256);
+    assert.strictEqual(getPlotFilter(20643000), 32);
+  });
+
+  describe('getFarmingEconomics', () => {
+    const netspaceInGib = 10000 * 4608; // One block per day for 10000 GiB
+
+    it('estimates the expected time to win and the daily reward', () => {
+      const economics = getFarmingEconomics({
+        netspaceInGib,
+        height: 1000,
+        farmerPlotCount: 100,
+        harvesterPlotCount: 10,
+        harvesterEffectiveCapacityInGib: 1000,
+      });
+
+      assert.deepStrictEqual(economics, {
+        plotCapacityInGib: '10000',
+        expectedTimeToWinInSeconds: 86400,
+        expectedRewardPerDay: '2.000000000000',
+        estimatedEffectiveCapacityInGib: null,
+        estimatedEffectiveCapacityRatio: null,
+      });
+    });
+
+    it('falls back to the k32 plot size without local plots', () => {
+      const economics = getFarmingEconomics({ netspaceInGib, farmerPlotCount: 10 });
+
+      assert.strictEqual(economics.plotCapacityInGib, '1013.61');
+      assert.strictEqual(economics.expectedRewardPerDay, null);
+    });
+
+    it('estimates the effective capacity from the passed filter counts', () => {
+      const economics = getFarmingEconomics({
+        netspaceInGib,
+        height: 1000,
+        farmerPlotCount: 100,
+        harvesterPlotCount: 10,
+        harvesterEffectiveCapacityInGib: 1000,
+        farmingInfos: [
+          { totalPlots: 100, passedFilter: 0 },
+          { totalPlots: 100, passedFilter: 1 },
+          { totalPlots: 0, passedFilter: 0 },
+        ],
+      });
+
+      assert.strictEqual(economics.estimatedEffectiveCapacityInGib, '25600');
+      assert.strictEqual(economics.estimatedEffectiveCapacityRatio, 2.56);
+    });
+
+    it('does not estimate anything without plots or netspace', () => {
+      const economics = getFarmingEconomics({ netspaceInGib: 0, height: 1000, farmerPlotCount: 100 });
+
+      assert.strictEqual(economics.expectedTimeToWinInSeconds, null);
+      assert.strictEqual(getFarmingEconomics({ netspaceInGib, height: 1000 }).plotCapacityInGib, '0');
+    });
+  });
+});
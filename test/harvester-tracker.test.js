@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+const moment = require('moment');
+
+const HarvesterTracker = require('../lib/harvester-tracker');
+
+describe('HarvesterTracker', () => {
+  let harvesterTracker;
+
+  beforeEach(() => {
+    harvesterTracker = new HarvesterTracker({ getResponseTimeSampleSize: () => 2, getForgetAfterInHours: () => 24 });
+  });
+
+  it('aggregates the farming infos per harvester', () => {
+    harvesterTracker.recordFarmingInfo({ nodeId: '0xabc', responseTime: 100, passedFilter: 1, totalPlots: 100 });
+    harvesterTracker.recordFarmingInfo({ nodeId: 'abc', responseTime: 300, passedFilter: 0, totalPlots: 100 });
+    harvesterTracker.recordFarmingInfo({ nodeId: 'abc', responseTime: 500, passedFilter: 1, totalPlots: 100 });
+
+    const [stats] = harvesterTracker.getStats();
+
+    assert.strictEqual(stats.nodeId, 'abc');
+    assert.strictEqual(stats.isConnected, null);
+    assert.strictEqual(stats.averageResponseTime, 400);
+    assert.strictEqual(stats.worstResponseTime, 500);
+    assert.strictEqual(stats.passedFilterRatio, 2 / 300);
+  });
+
+  it('marks harvesters missing from the listing as disconnected', () => {
+    harvesterTracker.updateConnectedHarvesters([
+      { connection: { node_id: 'abc', host: '10.0.0.2' }, plots: 10 },
+      { connection: { node_id: 'def', host: '10.0.0.3' }, plots: [{}, {}] },
+    ]);
+    harvesterTracker.updateConnectedHarvesters([{ connection: { node_id: 'abc', host: '10.0.0.2' }, plots: 10 }]);
+
+    const stats = harvesterTracker.getStats().map(({ nodeId, host, plotCount, isConnected }) => ({ nodeId, host, plotCount, isConnected }));
+
+    assert.deepStrictEqual(stats, [
+      { nodeId: 'abc', host: '10.0.0.2', plotCount: 10, isConnected: true },
+      { nodeId: 'def', host: '10.0.0.3', plotCount: 2, isConnected: false },
+    ]);
+  });
+
+  it('forgets harvesters which were disconnected for too long', () => {
+    harvesterTracker.updateConnectedHarvesters([
+      { connection: { node_id: 'abc' }, plots: 10 },
+      { connection: { node_id: 'def' }, plots: 10 },
+    ]);
+    harvesterTracker.updateConnectedHarvesters([{ connection: { node_id: 'abc' }, plots: 10 }]);
+    harvesterTracker.harvesters.get('abc').lastSeen = moment().subtract(25, 'hours').toDate();
+    harvesterTracker.harvesters.get('def').lastSeen = moment().subtract(25, 'hours').toDate();
+
+    assert.deepStrictEqual(harvesterTracker.getStats().map(stats => stats.nodeId), ['abc']);
+  });
+});
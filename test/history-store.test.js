@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { promises: fs } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const moment = require('moment');
+
+const HistoryStore = require('../lib/history-store');
+
+describe('HistoryStore', () => {
+  const retentionInDays = { minute: 2, hour: 30, day: 365 };
+  let directory;
+  let historyStore;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(join(tmpdir(), 'history-store-'));
+    historyStore = new HistoryStore({ directory, retentionInDays });
+    await historyStore.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('rolls up the values of a bucket', async () => {
+    const start = moment().startOf('minute').subtract(5, 'minutes');
+    await historyStore.record({ plotCount: 10, netSpace: '100' }, start.toDate());
+    await historyStore.record({ plotCount: 20, netSpace: null }, moment(start).add(10, 'seconds').toDate());
+    await historyStore.record({ plotCount: 30, netSpace: 'n/a' }, moment(start).add(20, 'seconds').toDate());
+
+    const [record] = await historyStore.query({ resolution: 'minute', from: start });
+
+    assert.deepStrictEqual(record, {
+      timestamp: start.toISOString(),
+      metrics: {
+        plotCount: { avg: 20, min: 10, max: 30, last: 30, count: 3 },
+        netSpace: { avg: 100, min: 100, max: 100, last: 100, count: 1 },
+      },
+    });
+  });
+
+  it('persists completed buckets and returns them in order', async () => {
+    const start = moment().startOf('minute').subtract(5, 'minutes');
+    await historyStore.record({ plotCount: 10 }, start.toDate());
+    await historyStore.record({ plotCount: 20 }, moment(start).add(1, 'minute').toDate());
+    await historyStore.record({ plotCount: 30 }, moment(start).add(2, 'minutes').toDate());
+
+    const content = await fs.readFile(historyStore.getSegmentFilePath('minute', start), 'utf8');
+    const records = await historyStore.query({ resolution: 'minute', from: start, metrics: ['plotCount'] });
+
+    assert.strictEqual(content.trim().split('\n').length, 2);
+    assert.deepStrictEqual(records.map(record => record.metrics.plotCount.last), [10, 20, 30]);
+  });
+
+  it('merges records of the same bucket which were flushed before a restart', async () => {
+    const start = moment().startOf('minute').subtract(5, 'minutes');
+    await historyStore.record({ plotCount: 10 }, start.toDate());
+    await historyStore.flush();
+    const restartedHistoryStore = new HistoryStore({ directory, retentionInDays });
+    await restartedHistoryStore.record({ plotCount: 30 }, moment(start).add(30, 'seconds').toDate());
+
+    const records = await restartedHistoryStore.query({ resolution: 'minute', from: start });
+
+    assert.deepStrictEqual(records, [{
+      timestamp: start.toISOString(),
+      metrics: { plotCount: { avg: 20, min: 10, max: 30, last: 30, count: 2 } },
+    }]);
+  });
+
+  it('skips partially written lines', async () => {
+    const start = moment().startOf('minute').subtract(5, 'minutes');
+    await historyStore.record({ plotCount: 10 }, start.toDate());
+    await historyStore.flush();
+    await fs.appendFile(historyStore.getSegmentFilePath('minute', start), '{"timestamp":', 'utf8');
+
+    const records = await historyStore.query({ resolution: 'minute', from: start });
+
+    assert.strictEqual(records.length, 1);
+  });
+
+  it('deletes segments outside of the retention', async () => {
+    const expiredSegmentFilePath = historyStore.getSegmentFilePath('minute', moment().subtract(retentionInDays.minute + 2, 'days'));
+    const retainedSegmentFilePath = historyStore.getSegmentFilePath('hour', moment().subtract(retentionInDays.minute + 2, 'days'));
+    await fs.writeFile(expiredSegmentFilePath, '', 'utf8');
+    await fs.writeFile(retainedSegmentFilePath, '', 'utf8');
+
+    await historyStore.applyRetention();
+
+    await assert.rejects(fs.access(expiredSegmentFilePath));
+    await fs.access(retainedSegmentFilePath);
+  });
+
+  it('rejects unknown resolutions', async () => {
+    await assert.rejects(historyStore.query({ resolution: 'week' }), /Unknown history resolution: week/);
+  });
+});
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { parsePlotLog } = require('../lib/plot-log-parsers');
+
+const toLog = lines => `${lines.join('\n')}\n`;
+
+describe('parsePlotLog', () => {
+  it('returns null for empty and unknown logs', () => {
+    assert.strictEqual(parsePlotLog({ log: '' }), null);
+    assert.strictEqual(parsePlotLog({ log: 'hello world' }), null);
+  });
+
+  describe('chiapos', () => {
+    const startLines = [
+      'Starting plotting progress into temporary dirs: /mnt/tmp1 and /mnt/tmp2',
+      'Starting phase 1/4: Forward Propagation into tmp files... Mon Jan 12 10:00:00 2026',
+      'Computing table 1',
+      'Computing table 2',
+      'Computing table 3',
+    ];
+
+    it('parses the progress of phase 1', () => {
+      assert.deepStrictEqual(parsePlotLog({ log: toLog(startLines) }), {
+        plotter: 'chiapos',
+        phase: 1,
+        phaseTimes: {},
+        tempDirs: ['/mnt/tmp1', '/mnt/tmp2'],
+        finalDir: null,
+        totalTimeInSeconds: null,
+        progress: 0.1333,
+      });
+    });
+
+    it('parses the progress of later phases', () => {
+      const parsedLog = parsePlotLog({
+        log: toLog(startLines.concat([
+          'Time for phase 1 = 8000.123 seconds. CPU (150.000%) Mon Jan 12 12:13:20 2026',
+          'Starting phase 2/4: Backpropagation into tmp files... Mon Jan 12 12:13:20 2026',
+          'Backpropagating on table 7',
+          'Backpropagating on table 6',
+          'Backpropagating on table 5',
+        ])),
+      });
+
+      assert.strictEqual(parsedLog.phase, 2);
+      assert.deepStrictEqual(parsedLog.phaseTimes, { 1: 8000.123 });
+      assert.strictEqual(parsedLog.progress, 0.4567);
+    });
+
+    it('parses finished plots', () => {
+      const parsedLog = parsePlotLog({
+        log: toLog([
+          'Starting plotting progress into temporary dirs: /mnt/tmp1 and /mnt/tmp2',
+          'Starting phase 4/4: Write Checkpoint tables into "/mnt/tmp2/plot-k32.plot.2.tmp"',
+          'Time for phase 4 = 500.5 seconds. CPU (90.000%)',
+          'Total time = 20000.5 seconds. CPU (120.000%)',
+          'Renamed final file from "/plots/plot-k32.plot.2.tmp" to "/plots/plot-k32.plot"',
+        ]),
+      });
+
+      assert.strictEqual(parsedLog.progress, 1);
+      assert.strictEqual(parsedLog.finalDir, '/plots');
+      assert.strictEqual(parsedLog.totalTimeInSeconds, 20000.5);
+    });
+  });
+
+  describe('madmax', () => {
+    const startLines = [
+      'Multi-threaded pipelined Chia k32 proof of space plotter',
+      'Working Directory:   /mnt/tmp/',
+      'Working Directory 2: /mnt/ram/',
+      'Final Directory:     /plots/',
+      '[P1] Table 1 took 12.3 sec',
+      '[P1] Table 2 took 45.6 sec',
+    ];
+
+    it('parses the progress of phase 1', () => {
+      assert.deepStrictEqual(parsePlotLog({ log: toLog(startLines) }), {
+        plotter: 'madmax',
+        phase: 1,
+        phaseTimes: {},
+        tempDirs: ['/mnt/tmp/', '/mnt/ram/'],
+        finalDir: '/plots/',
+        totalTimeInSeconds: null,
+        progress: 0.1143,
+      });
+    });
+
+    it('continues with the next phase once a phase took its time', () => {
+      const parsedLog = parsePlotLog({
+        log: toLog(startLines.concat([
+          'Phase 1 took 1200.5 sec',
+          '[P2] max_table_size = 4294967296',
+          '[P2] Table 7 rewrite took 20.1 sec, dropped 0 entries (0 %)',
+          '[P2] Table 6 rewrite took 30.2 sec, dropped 581000000 entries (13.5 %)',
+        ])),
+      });
+
+      assert.strictEqual(parsedLog.phase, 2);
+      assert.strictEqual(parsedLog.progress, 0.4667);
+    });
+  });
+
+  describe('bladebit', () => {
+    const startLines = [
+      'Bladebit Chia Plotter',
+      'Temp1 path     : /mnt/tmp1',
+      'Output path    : /plots',
+      'Running Phase 1',
+      'Finished forward propagating table 2 in 10.00 seconds.',
+      'Finished forward propagating table 3 in 10.00 seconds.',
+      'Finished forward propagating table 4 in 10.00 seconds.',
+    ];
+    const phase2Lines = [
+      'Finished Phase 1 in 100.00 seconds.',
+      'Running Phase 2',
+      'Finished pruning table 6 in 5.00 seconds.',
+      'Finished pruning table 5 in 5.00 seconds.',
+    ];
+    const phase3Lines = [
+      'Finished Phase 2 in 50.00 seconds.',
+      'Running Phase 3',
+      'Finished compressing tables 1 and 2 in 10.00 seconds.',
+      'Finished compressing tables 2 and 3 in 10.00 seconds.',
+      'Finished compressing tables 3 and 4 in 10.00 seconds.',
+    ];
+
+    it('parses the progress of phase 1', () => {
+      assert.deepStrictEqual(parsePlotLog({ log: toLog(startLines) }), {
+        plotter: 'bladebit',
+        phase: 1,
+        phaseTimes: {},
+        tempDirs: ['/mnt/tmp1'],
+        finalDir: '/plots',
+        totalTimeInSeconds: null,
+        progress: 0.25,
+      });
+    });
+
+    it('parses the progress of the pruning and compression phases', () => {
+      assert.strictEqual(parsePlotLog({ log: toLog(startLines.concat(phase2Lines)) }).progress, 0.56);
+      assert.strictEqual(parsePlotLog({ log: toLog(startLines.concat(phase2Lines, phase3Lines)) }).progress, 0.8);
+    });
+
+    it('uses the configured plotter over the detection', () => {
+      assert.strictEqual(parsePlotLog({ plotter: 'bladebit2', log: toLog(['Starting phase 1/4']) }).plotter, 'bladebit');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { CronSchedule, IntervalSchedule, createSchedule } = require('../lib/schedule');
+
+const utc = expression => new CronSchedule({ expression, timezone: 'UTC' });
+
+describe('CronSchedule', () => {
+  describe('getNextMatch', () => {
+    it('matches the next minute, hour and day', () => {
+      const after = new Date('2026-01-15T10:30:00Z');
+
+      assert.strictEqual(utc('*/15 * * * *').getNextMatch(after).toISOString(), '2026-01-15T10:45:00.000Z');
+      assert.strictEqual(utc('0 8 * * *').getNextMatch(after).toISOString(), '2026-01-16T08:00:00.000Z');
+      assert.strictEqual(utc('@monthly').getNextMatch(after).toISOString(), '2026-02-01T00:00:00.000Z');
+    });
+
+    it('never returns the passed time itself', () => {
+      const after = new Date('2026-01-15T08:00:00Z');
+
+      assert.strictEqual(utc('0 8 * * *').getNextMatch(after).toISOString(), '2026-01-16T08:00:00.000Z');
+    });
+
+    it('supports names, ranges and lists', () => {
+      const after = new Date('2026-01-15T10:30:00Z'); // A thursday
+
+      assert.strictEqual(utc('0 9 * * MON-WED').getNextMatch(after).toISOString(), '2026-01-19T09:00:00.000Z');
+      assert.strictEqual(utc('0 0 1 jun,dec *').getNextMatch(after).toISOString(), '2026-06-01T00:00:00.000Z');
+      assert.strictEqual(utc('0 0 * * 7').getNextMatch(after).toISOString(), '2026-01-18T00:00:00.000Z');
+    });
+
+    it('matches either the day of month or the day of week when both are restricted', () => {
+      const after = new Date('2026-01-15T10:30:00Z');
+
+      assert.strictEqual(utc('0 0 20 * FRI').getNextMatch(after).toISOString(), '2026-01-16T00:00:00.000Z');
+    });
+
+    it('matches the wall clock time of the timezone', () => {
+      const schedule = new CronSchedule({ expression: '0 8 * * *', timezone: 'Europe/Berlin' });
+
+      assert.strictEqual(schedule.getNextMatch(new Date('2026-01-15T10:30:00Z')).toISOString(), '2026-01-16T07:00:00.000Z');
+      assert.strictEqual(schedule.getNextMatch(new Date('2026-07-15T10:30:00Z')).toISOString(), '2026-07-16T06:00:00.000Z');
+    });
+
+    it('throws for expressions which never match', () => {
+      assert.throws(() => utc('0 0 30 2 *').getNextMatch(new Date('2026-01-15T10:30:00Z')), /does not match any time/);
+    });
+  });
+
+  it('returns the previous match', () => {
+    const before = new Date('2026-01-15T10:30:00Z');
+
+    assert.strictEqual(utc('0 8 * * *').getPreviousMatch(before).toISOString(), '2026-01-15T08:00:00.000Z');
+    assert.strictEqual(utc('0 12 * * *').getPreviousMatch(before).toISOString(), '2026-01-14T12:00:00.000Z');
+  });
+
+  describe('getNextRunAt', () => {
+    const schedule = utc('0 8 * * *');
+    const now = new Date('2026-01-15T10:30:00Z');
+
+    it('catches up a run missed while the satellite was stopped', () => {
+      assert.strictEqual(schedule.getNextRunAt({ now, lastRunAt: '2026-01-14T08:00:00.000Z' }), now);
+    });
+
+    it('does not repeat a run which already happened', () => {
+      const nextRunAt = schedule.getNextRunAt({ now, lastRunAt: '2026-01-15T08:00:00.000Z' });
+
+      assert.strictEqual(nextRunAt.toISOString(), '2026-01-16T08:00:00.000Z');
+    });
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => utc('0 8 * *'), /Expected 5 fields but got 4/);
+    assert.throws(() => utc('60 * * * *'), /'60' is not a valid minute/);
+    assert.throws(() => utc('0 0 * * FOO'), /'FOO' is not a valid day of week/);
+    assert.throws(() => utc('*/0 * * * *'), /'0' is not a valid step for the minute/);
+    assert.throws(() => utc('0 10-8 * * *'), /'10-8' is not a valid range for the hour/);
+    assert.throws(() => new CronSchedule({ expression: '0 8 * * *', timezone: 'Mars/Olympus' }), RangeError);
+  });
+});
+
+describe('IntervalSchedule', () => {
+  const schedule = new IntervalSchedule({ intervalInMinutes: 60 });
+  const now = new Date('2026-01-15T10:30:00Z');
+
+  it('runs one interval after the start without a previous run', () => {
+    assert.strictEqual(schedule.getNextRunAt({ now }).toISOString(), '2026-01-15T11:30:00.000Z');
+  });
+
+  it('runs one interval after the previous run but never in the past', () => {
+    assert.strictEqual(schedule.getNextRunAt({ now, lastRunAt: '2026-01-15T10:00:00.000Z' }).toISOString(), '2026-01-15T11:00:00.000Z');
+    assert.strictEqual(schedule.getNextRunAt({ now, lastRunAt: '2026-01-15T08:00:00.000Z' }).toISOString(), now.toISOString());
+  });
+});
+
+describe('createSchedule', () => {
+  it('prefers the cron schedule over the interval', () => {
+    assert.ok(createSchedule({ schedule: '@daily', intervalInMinutes: 60 }) instanceof CronSchedule);
+    assert.ok(createSchedule({ intervalInMinutes: 60 }) instanceof IntervalSchedule);
+    assert.throws(() => createSchedule({}), /Either a schedule or an interval is required/);
+  });
+});
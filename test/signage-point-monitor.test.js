@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+
+const SignagePointMonitor = require('../lib/signage-point-monitor');
+
+describe('SignagePointMonitor', () => {
+  let signagePointMonitor;
+
+  beforeEach(() => {
+    signagePointMonitor = new SignagePointMonitor();
+  });
+
+  describe('recordSignagePoint', () => {
+    const record = (challenge, signagePointIndex) => signagePointMonitor.recordSignagePoint({ challenge, signagePointIndex });
+    const getMissedCounts = () => signagePointMonitor.missedSignagePoints.map(event => event.count);
+
+    it('does not count consecutive signage points as missed', () => {
+      record('a', 1);
+      record('a', 2);
+      record('a', 3);
+
+      assert.deepStrictEqual(getMissedCounts(), []);
+    });
+
+    it('counts the gap within a sub slot', () => {
+      record('a', 1);
+      record('a', 3);
+
+      assert.deepStrictEqual(getMissedCounts(), [1]);
+    });
+
+    it('ignores repeated signage points', () => {
+      record('a', 5);
+      record('a', 5);
+      record('a', 4);
+      record('a', 6);
+
+      assert.deepStrictEqual(getMissedCounts(), []);
+    });
+
+    it('does not count the sub slot change itself as missed', () => {
+      record('a', 63);
+      record('b', 0);
+
+      assert.deepStrictEqual(getMissedCounts(), []);
+    });
+
+    it('counts gaps across sub slot boundaries', () => {
+      record('a', 62);
+      record('b', 2);
+
+      assert.deepStrictEqual(getMissedCounts(), [3]);
+    });
+
+    it('ignores late signage points of the previous sub slot', () => {
+      record('a', 62);
+      record('b', 0);
+      record('a', 63);
+      record('b', 1);
+
+      assert.deepStrictEqual(getMissedCounts(), [1]);
+    });
+
+    it('ignores events without a signage point index', () => {
+      record('a', 1);
+      record('a', undefined);
+      record('a', 2);
+
+      assert.deepStrictEqual(getMissedCounts(), []);
+    });
+  });
+
+  describe('getStats', () => {
+    it('sums up the missed signage points and groups slow lookups by harvester', () => {
+      signagePointMonitor.recordSignagePoint({ challenge: 'a', signagePointIndex: 1 });
+      signagePointMonitor.recordSignagePoint({ challenge: 'a', signagePointIndex: 4 });
+      signagePointMonitor.recordSignagePoint({ challenge: 'a', signagePointIndex: 6 });
+      signagePointMonitor.recordFarmingInfo({ responseTime: 30 * 1000, lookupTime: 6000, nodeId: 'abc' });
+      signagePointMonitor.recordFarmingInfo({ responseTime: 1000, lookupTime: 8000, nodeId: 'abc' });
+      signagePointMonitor.recordFarmingInfo({ responseTime: 1000, lookupTime: 100, nodeId: 'def' });
+
+      assert.deepStrictEqual(signagePointMonitor.getStats(), {
+        missedSignagePointsLastHour: 3,
+        lateFarmingInfosLastHour: 1,
+        slowLookupsLastHour: 2,
+        slowHarvesters: [{ nodeId: 'abc', slowLookups: 2, worstLookupTime: 8000 }],
+      });
+    });
+
+    it('drops events older than an hour', () => {
+      signagePointMonitor.missedSignagePoints.push({ at: new Date(Date.now() - 2 * 60 * 60 * 1000), count: 5 });
+
+      assert.strictEqual(signagePointMonitor.getStats().missedSignagePointsLastHour, 0);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { promises: fs } = require('fs');
+const { join } = require('path');
+const { tmpdir } = require('os');
+const moment = require('moment');
+
+const UptimeTracker = require('../lib/uptime-tracker');
+
+describe('UptimeTracker', () => {
+  let directory;
+  let stateFilePath;
+  let uptimeTracker;
+  let start;
+  const at = minutes => moment(start).add(minutes, 'minutes').toDate();
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(join(tmpdir(), 'uptime-tracker-'));
+    stateFilePath = join(directory, 'uptime.json');
+    uptimeTracker = new UptimeTracker({ stateFilePath });
+    await uptimeTracker.init();
+    start = moment().subtract(1, 'hour').startOf('minute');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('does not report a change for the first observation', async () => {
+    const changes = await uptimeTracker.update({ farmer: true }, at(0));
+
+    assert.deepStrictEqual(changes, []);
+  });
+
+  it('reports state changes with the start of the previous state', async () => {
+    await uptimeTracker.update({ farmer: true, harvester: true }, at(0));
+    await uptimeTracker.update({ farmer: true, harvester: true }, at(1));
+    const changes = await uptimeTracker.update({ farmer: false, harvester: true }, at(2));
+
+    assert.deepStrictEqual(changes, [{ service: 'farmer', isRunning: false, previousStateChangeAt: at(0).toISOString() }]);
+  });
+
+  it('only counts the time in which the state was known for the uptime', async () => {
+    await uptimeTracker.update({ farmer: true }, at(0));
+    await uptimeTracker.update({ farmer: false }, at(30));
+    await uptimeTracker.update({ farmer: false }, at(40));
+
+    assert.strictEqual(uptimeTracker.getUptimePercent('farmer', at(0), at(60)), 75);
+  });
+
+  it('persists the state and marks the time the satellite was not running as unknown', async () => {
+    await uptimeTracker.update({ farmer: true }, at(0));
+    await uptimeTracker.update({ farmer: true }, at(10));
+    const restartedUptimeTracker = new UptimeTracker({ stateFilePath });
+    await restartedUptimeTracker.init();
+    const changes = await restartedUptimeTracker.update({ farmer: true }, at(40));
+    await restartedUptimeTracker.update({ farmer: true }, at(50));
+
+    assert.deepStrictEqual(changes, []);
+    assert.deepStrictEqual(restartedUptimeTracker.services.farmer.map(period => period.isRunning), [true, null, true]);
+    assert.strictEqual(restartedUptimeTracker.getLastStateChangeAt('farmer'), at(0).toISOString());
+    assert.strictEqual(restartedUptimeTracker.getUptimePercent('farmer', at(0), at(50)), 100);
+  });
+
+  it('reports changes which happened while the satellite was not running', async () => {
+    await uptimeTracker.update({ farmer: true }, at(0));
+    const restartedUptimeTracker = new UptimeTracker({ stateFilePath });
+    await restartedUptimeTracker.init();
+    const changes = await restartedUptimeTracker.update({ farmer: false }, at(30));
+
+    assert.deepStrictEqual(changes, [{ service: 'farmer', isRunning: false, previousStateChangeAt: at(0).toISOString() }]);
+  });
+
+  it('starts over when the state file is corrupted', async () => {
+    await fs.writeFile(stateFilePath, '{"services":', 'utf8');
+    const restartedUptimeTracker = new UptimeTracker({ stateFilePath });
+    await restartedUptimeTracker.init();
+
+    assert.deepStrictEqual(restartedUptimeTracker.services, {});
+  });
+
+  it('drops periods outside of the retention but keeps the one active at its start', async () => {
+    const eightDaysAgo = moment().subtract(8, 'days');
+    await uptimeTracker.update({ farmer: true }, eightDaysAgo.toDate());
+    await uptimeTracker.update({ farmer: false }, moment(eightDaysAgo).add(1, 'hour').toDate());
+    await uptimeTracker.update({ farmer: true }, moment(eightDaysAgo).add(2, 'hours').toDate());
+    await uptimeTracker.update({ farmer: true }, new Date());
+
+    assert.deepStrictEqual(uptimeTracker.services.farmer.map(period => period.isRunning), [true]);
+  });
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { getCompressionLevelOfPlot } = require('../lib/util');
+
+const gibToBytes = sizeInGib => Math.round(sizeInGib * Math.pow(1024, 3));
+
+describe('getCompressionLevelOfPlot', () => {
+  it('uses the compression level reported by the harvester', () => {
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32, file_size: gibToBytes(101.3), compression_level: 3 }), 3);
+  });
+
+  it('detects uncompressed plots of all k sizes', () => {
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32, file_size: gibToBytes(101.3) }), 0);
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 33, file_size: gibToBytes(208.8) }), 0);
+  });
+
+  it('estimates the compression level of k32 plots from the known bladebit sizes', () => {
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32, file_size: gibToBytes(87.5) }), 1);
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32, file_size: gibToBytes(78.2) }), 7);
+  });
+
+  it('does not guess the compression level of unknown sizes', () => {
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32, file_size: gibToBytes(92) }), null);
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 33, file_size: gibToBytes(150) }), null);
+    assert.strictEqual(getCompressionLevelOfPlot({ size: 32 }), null);
+  });
+});